@@ -5,30 +5,70 @@ const { getQwenToken } = require('./lib/config');
 function sha256Encrypt(input) { return crypto.createHash('sha256').update(input).digest('hex'); }
 function generateUUID() { return crypto.randomUUID(); }
 
-function isChatType(model) {
-  if (!model) return 't2t';
-  if (model.includes('-search')) return 'search';
-  else if (model.includes('-image-edit')) return 'image_edit';
-  else if (model.includes('-image')) return 't2i';
-  else if (model.includes('-video')) return 't2v';
-  else if (model.includes('-deep-research')) return 'deep_research';
+// Model suffixes selecting Qwen features; they can be combined, e.g. qwen3-max-thinking-search
+const MODEL_SUFFIXES = ['deep-research', 'image_edit', 'image-edit', 'thinking', 'search', 'image', 'video'];
+// Largest thinking_budget accepted upstream
+const MAX_THINKING_BUDGET = 38912;
+// reasoning_effort -> thinking budget ('none' turns thinking off)
+const REASONING_EFFORT_BUDGETS = { minimal: 1024, low: 4096, medium: 16384, high: MAX_THINKING_BUDGET };
+
+// Split a model id into the upstream model and its feature suffixes (image-edit is normalized to image_edit)
+function parseModelSuffixes(model) {
+  let base = String(model || '');
+  const suffixes = [];
+  for (;;) {
+    const suffix = MODEL_SUFFIXES.find((s) => base.endsWith(`-${s}`) && base.length > s.length + 1);
+    if (!suffix) break;
+    suffixes.unshift(suffix === 'image-edit' ? 'image_edit' : suffix);
+    base = base.slice(0, -(suffix.length + 1));
+  }
+  return { base, suffixes };
+}
+
+function toOptionalBoolean(value) {
+  if (value === undefined || value === null) return undefined;
+  if (typeof value === 'string') return value.toLowerCase() === 'true';
+  return !!value;
+}
+
+// Request-level feature flags; a flag that is set overrides the matching model suffix
+function parseFeatureFlags(body = {}) {
+  const flags = {
+    enableSearch: toOptionalBoolean(body.enable_search),
+    enableThinking: toOptionalBoolean(body.enable_thinking),
+    thinkingBudget: body.thinking_budget ?? undefined,
+    deepResearch: toOptionalBoolean(body.deep_research)
+  };
+  const effort = String(body.reasoning_effort || '').toLowerCase();
+  if (effort === 'none') flags.enableThinking = flags.enableThinking ?? false;
+  else if (REASONING_EFFORT_BUDGETS[effort]) {
+    flags.enableThinking = flags.enableThinking ?? true;
+    flags.thinkingBudget = flags.thinkingBudget ?? REASONING_EFFORT_BUDGETS[effort];
+  }
+  return flags;
+}
+
+// Generation suffixes win over chat modes; deep research wins over search
+function isChatType(model, { enableSearch, deepResearch } = {}) {
+  const { suffixes } = parseModelSuffixes(model);
+  if (suffixes.includes('image_edit')) return 'image_edit';
+  if (suffixes.includes('image')) return 't2i';
+  if (suffixes.includes('video')) return 't2v';
+  if (deepResearch ?? suffixes.includes('deep-research')) return 'deep_research';
+  if (enableSearch ?? suffixes.includes('search')) return 'search';
   return 't2t';
 }
 
 function isThinkingEnabled(model, enableThinking, thinkingBudget) {
-  const cfg = { output_schema: 'phase', thinking_enabled: false, thinking_budget: 81920 };
-  if (model?.includes('-thinking') || enableThinking) cfg.thinking_enabled = true;
-  if (thinkingBudget && !Number.isNaN(Number(thinkingBudget)) && Number(thinkingBudget) > 0 && Number(thinkingBudget) < 38912) cfg.budget = Number(thinkingBudget);
+  const cfg = { output_schema: 'phase', thinking_enabled: enableThinking ?? parseModelSuffixes(model).suffixes.includes('thinking') };
+  const budget = Number(thinkingBudget);
+  if (cfg.thinking_enabled && thinkingBudget !== undefined && Number.isFinite(budget) && budget > 0) cfg.thinking_budget = Math.min(Math.floor(budget), MAX_THINKING_BUDGET);
   return cfg;
 }
 
 function parserModel(model) {
   if (!model) return 'qwen3-coder-plus';
-  try {
-    model = String(model);
-    model = model.replace('-search','').replace('-thinking','').replace('-edit','').replace('-video','').replace('-deep-research','').replace('-image','');
-    return model;
-  } catch { return 'qwen3-coder-plus'; }
+  return parseModelSuffixes(model).base;
 }
 
 async function parserMessages(messages, thinking_config, chat_type) {
@@ -88,6 +128,6 @@ async function parserMessages(messages, thinking_config, chat_type) {
   }
 }
 
-module.exports = { isChatType, isThinkingEnabled, parserModel, parserMessages };
+module.exports = { MODEL_SUFFIXES, parseModelSuffixes, parseFeatureFlags, isChatType, isThinkingEnabled, parserModel, parserMessages };
 
 
@@ -0,0 +1,264 @@
+// Anthropic Messages API Adapter: Convert /v1/messages requests to OpenAI format and OpenAI output back to Anthropic format
+const { Transform } = require('stream');
+const { randomUUID } = require('crypto');
+const { logger } = require('./logger');
+const { createSseParser } = require('./sse-parser');
+
+const STOP_REASON_MAP = { stop: 'end_turn', tool_calls: 'tool_use', length: 'max_tokens' };
+
+function generateMessageId() {
+  return `msg_${randomUUID().replace(/-/g, '')}`;
+}
+
+function blocksToText(content) {
+  if (typeof content === 'string') return content;
+  if (!Array.isArray(content)) return '';
+  return content.filter((b) => b?.type === 'text').map((b) => b.text || '').join('');
+}
+
+// Anthropic image block -> OpenAI image_url part
+function convertImageBlock(block) {
+  const source = block.source || {};
+  if (source.type === 'base64' && source.data) {
+    return { type: 'image_url', image_url: { url: `data:${source.media_type || 'image/png'};base64,${source.data}` } };
+  }
+  if (source.type === 'url' && source.url) {
+    return { type: 'image_url', image_url: { url: source.url } };
+  }
+  return null;
+}
+
+// Anthropic document block (base64 PDF / plain text) -> OpenAI file part
+function convertDocumentBlock(block) {
+  const source = block.source || {};
+  if (source.type === 'base64' && source.data) {
+    const mediaType = source.media_type || 'application/pdf';
+    return { type: 'file', file: { file_data: `data:${mediaType};base64,${source.data}`, filename: block.title || `document.${mediaType === 'application/pdf' ? 'pdf' : 'txt'}` } };
+  }
+  if (source.type === 'text' && source.data) {
+    return { type: 'file', file: { file_data: `data:text/plain;base64,${Buffer.from(source.data, 'utf-8').toString('base64')}`, filename: block.title || 'document.txt' } };
+  }
+  return null;
+}
+
+// Convert one Anthropic message into one or more OpenAI messages
+function convertMessage(message) {
+  const { role, content } = message;
+  if (typeof content === 'string') return [{ role, content }];
+  if (!Array.isArray(content)) return [{ role, content: '' }];
+
+  if (role === 'assistant') {
+    const text = content.filter((b) => b?.type === 'text').map((b) => b.text || '').join('');
+    const toolCalls = content
+      .filter((b) => b?.type === 'tool_use')
+      .map((b) => ({ id: b.id, type: 'function', function: { name: b.name, arguments: JSON.stringify(b.input || {}) } }));
+    const converted = { role: 'assistant', content: text };
+    if (toolCalls.length > 0) converted.tool_calls = toolCalls;
+    return [converted];
+  }
+
+  // User turn: tool results become OpenAI tool messages, the rest stays in one user message
+  const result = [];
+  const parts = [];
+  for (const block of content) {
+    if (!block) continue;
+    if (block.type === 'tool_result') {
+      const resultText = blocksToText(block.content) || (typeof block.content === 'string' ? block.content : '');
+      result.push({ role: 'tool', tool_call_id: block.tool_use_id, content: block.is_error ? `Error: ${resultText}` : resultText });
+    } else if (block.type === 'text') {
+      parts.push({ type: 'text', text: block.text || '' });
+    } else if (block.type === 'image') {
+      const image = convertImageBlock(block);
+      if (image) parts.push(image);
+    } else if (block.type === 'document') {
+      const document = convertDocumentBlock(block);
+      if (document) parts.push(document);
+    }
+  }
+  if (parts.length > 0) {
+    const onlyText = parts.every((p) => p.type === 'text');
+    result.push({ role, content: onlyText ? parts.map((p) => p.text).join('') : parts });
+  }
+  return result;
+}
+
+function convertToolChoice(toolChoice) {
+  if (!toolChoice) return undefined;
+  if (toolChoice.type === 'any') return 'required';
+  if (toolChoice.type === 'none') return 'none';
+  if (toolChoice.type === 'tool' && toolChoice.name) return { type: 'function', function: { name: toolChoice.name } };
+  return 'auto';
+}
+
+// Anthropic request body -> OpenAI chat completion request
+function convertAnthropicRequestToOpenAI(body) {
+  if (!Array.isArray(body?.messages) || body.messages.length === 0) {
+    throw new Error('Invalid request: messages array is required');
+  }
+  const model = body.model || 'qwen3-max';
+
+  const messages = [];
+  const system = blocksToText(body.system);
+  if (system) messages.push({ role: 'system', content: system });
+  for (const m of body.messages) messages.push(...convertMessage(m));
+
+  const request = { model, messages, stream: !!body.stream };
+  // Extended thinking maps to the request-level thinking flags
+  if (body.thinking?.type === 'enabled') {
+    request.enable_thinking = true;
+    if (body.thinking.budget_tokens) request.thinking_budget = body.thinking.budget_tokens;
+  }
+  if (Array.isArray(body.tools) && body.tools.length > 0) {
+    request.tools = body.tools.map((t) => ({
+      type: 'function',
+      function: { name: t.name, description: t.description || '', parameters: t.input_schema || { type: 'object', properties: {} } }
+    }));
+    request.tool_choice = convertToolChoice(body.tool_choice);
+  }
+  if (body.stream) request.stream_options = { include_usage: true };
+  return request;
+}
+
+// OpenAI chat.completion -> Anthropic message
+function convertOpenAICompletionToAnthropic(completion) {
+  const choice = completion?.choices?.[0] || {};
+  const message = choice.message || {};
+  const content = [];
+  if (message.reasoning_content) content.push({ type: 'thinking', thinking: message.reasoning_content, signature: '' });
+  if (message.content) content.push({ type: 'text', text: message.content });
+  for (const call of message.tool_calls || []) {
+    let input = {};
+    try { input = JSON.parse(call.function?.arguments || '{}'); } catch (_) { input = { raw: call.function?.arguments }; }
+    content.push({ type: 'tool_use', id: call.id, name: call.function?.name, input });
+  }
+  if (content.length === 0) content.push({ type: 'text', text: '' });
+  return {
+    id: generateMessageId(),
+    type: 'message',
+    role: 'assistant',
+    model: completion?.model,
+    content,
+    stop_reason: STOP_REASON_MAP[choice.finish_reason] || 'end_turn',
+    stop_sequence: null,
+    usage: {
+      input_tokens: completion?.usage?.prompt_tokens || 0,
+      output_tokens: completion?.usage?.completion_tokens || 0
+    }
+  };
+}
+
+// Anthropic error body
+function buildAnthropicError(status, message) {
+  const type = status === 401 ? 'authentication_error'
+    : status === 400 ? 'invalid_request_error'
+      : status === 429 ? 'rate_limit_error'
+        : 'api_error';
+  return { type: 'error', error: { type, message } };
+}
+
+function formatEvent(type, payload) {
+  return `event: ${type}\ndata: ${JSON.stringify({ type, ...payload })}\n\n`;
+}
+
+// Streaming: OpenAI SSE chunks (from createQwenToOpenAIStreamTransformer) -> Anthropic message events
+function createOpenAIToAnthropicStreamTransformer({ model, promptTokens = 0 } = {}) {
+  const messageId = generateMessageId();
+  let started = false;
+  let finished = false;
+  let blockIndex = -1;
+  let blockType = null;
+  let stopReason = 'end_turn';
+  let outputTokens = 0;
+  let inputTokens = promptTokens;
+
+  const start = (stream) => {
+    if (started) return;
+    started = true;
+    stream.push(formatEvent('message_start', {
+      message: { id: messageId, type: 'message', role: 'assistant', model, content: [], stop_reason: null, stop_sequence: null, usage: { input_tokens: inputTokens, output_tokens: 0 } }
+    }));
+  };
+
+  const closeBlock = (stream) => {
+    if (blockType === null) return;
+    stream.push(formatEvent('content_block_stop', { index: blockIndex }));
+    blockType = null;
+  };
+
+  const openBlock = (stream, type, contentBlock) => {
+    closeBlock(stream);
+    blockIndex += 1;
+    blockType = type;
+    stream.push(formatEvent('content_block_start', { index: blockIndex, content_block: contentBlock }));
+  };
+
+  const finish = (stream) => {
+    if (finished) return;
+    start(stream);
+    finished = true;
+    closeBlock(stream);
+    stream.push(formatEvent('message_delta', { delta: { stop_reason: stopReason, stop_sequence: null }, usage: { input_tokens: inputTokens, output_tokens: outputTokens } }));
+    stream.push(formatEvent('message_stop', {}));
+  };
+
+  const handleChunk = (stream, data) => {
+    if (finished) return;
+    if (data === '[DONE]') { finish(stream); return; }
+    let chunk;
+    try { chunk = JSON.parse(data); } catch (_) { return; }
+    start(stream);
+    if (chunk.usage) {
+      inputTokens = chunk.usage.prompt_tokens || inputTokens;
+      outputTokens = chunk.usage.completion_tokens || outputTokens;
+    }
+    const choice = chunk.choices?.[0];
+    if (!choice) return;
+    const delta = choice.delta || {};
+    if (delta.reasoning_content) {
+      if (blockType !== 'thinking') openBlock(stream, 'thinking', { type: 'thinking', thinking: '' });
+      stream.push(formatEvent('content_block_delta', { index: blockIndex, delta: { type: 'thinking_delta', thinking: delta.reasoning_content } }));
+    }
+    if (delta.content) {
+      if (blockType !== 'text') openBlock(stream, 'text', { type: 'text', text: '' });
+      stream.push(formatEvent('content_block_delta', { index: blockIndex, delta: { type: 'text_delta', text: delta.content } }));
+    }
+    for (const call of delta.tool_calls || []) {
+      openBlock(stream, 'tool_use', { type: 'tool_use', id: call.id, name: call.function?.name, input: {} });
+      stream.push(formatEvent('content_block_delta', { index: blockIndex, delta: { type: 'input_json_delta', partial_json: call.function?.arguments || '' } }));
+      closeBlock(stream);
+    }
+    if (choice.finish_reason) stopReason = STOP_REASON_MAP[choice.finish_reason] || 'end_turn';
+  };
+
+  const transformer = new Transform({
+    transform(chunk, _enc, callback) {
+      try { parser.push(chunk); } catch (e) { logger.error('Anthropic stream conversion failed', e); }
+      callback();
+    },
+    flush(callback) {
+      try { parser.end(); } catch (e) { logger.error('Anthropic stream conversion failed', e); }
+      finish(this);
+      callback();
+    }
+  });
+  const parser = createSseParser((event) => handleChunk(transformer, event.data.trim()));
+  return transformer;
+}
+
+// Output adapter consumed by proxyChatCompletion in main.js
+const anthropicAdapter = {
+  name: 'anthropic',
+  doneChunk: '',
+  createStreamTransformer: (ctx) => createOpenAIToAnthropicStreamTransformer(ctx),
+  formatCompletion: convertOpenAICompletionToAnthropic,
+  formatError: (status, message) => buildAnthropicError(status, message),
+  formatStreamError: (message) => formatEvent('error', { error: { type: 'api_error', message } })
+};
+
+module.exports = {
+  convertAnthropicRequestToOpenAI,
+  convertOpenAICompletionToAnthropic,
+  createOpenAIToAnthropicStreamTransformer,
+  buildAnthropicError,
+  anthropicAdapter
+};
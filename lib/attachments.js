@@ -0,0 +1,129 @@
+// Attachments: Map OpenAI file / input_audio content parts to uploaded Qwen message files
+const { randomUUID } = require('crypto');
+const mime = require('mime-types');
+const { uploadFileBuffer } = require('./image-upload');
+const { getFile } = require('./file-store');
+
+// Qwen message file type / showType / file_class per upload category (see SUPPORTED_TYPES in upload.js)
+const QWEN_FILE_KINDS = {
+  image: { type: 'image', showType: 'image', fileClass: 'vision' },
+  audio: { type: 'audio', showType: 'audio', fileClass: 'audio' },
+  video: { type: 'video', showType: 'video', fileClass: 'video' },
+  document: { type: 'file', showType: 'file', fileClass: 'document' }
+};
+
+// input_audio.format -> mime type
+const AUDIO_FORMATS = { wav: 'audio/wav', mp3: 'audio/mpeg', aac: 'audio/aac', ogg: 'audio/ogg', flac: 'audio/flac', m4a: 'audio/mp4' };
+
+function fileKindFromMime(mimeType) {
+  const main = String(mimeType || '').split('/')[0].toLowerCase();
+  if (main === 'image' || main === 'audio' || main === 'video') return main;
+  return 'document';
+}
+
+// Qwen chat message file entry (url is an uploaded OSS URL, or passed through as-is)
+function buildQwenFileEntry({ kind = 'image', url, filename, mimeType, size = 0, fileId = randomUUID() }) {
+  const { type, showType, fileClass } = QWEN_FILE_KINDS[kind] || QWEN_FILE_KINDS.document;
+  return {
+    type,
+    file: { created_at: Date.now(), data: {}, filename, hash: null, id: fileId, user_id: 'system', meta: { name: filename, size, content_type: mimeType }, update_at: Date.now() },
+    id: fileId,
+    url,
+    name: filename,
+    collection_name: '',
+    progress: 0,
+    status: 'uploaded',
+    greenNet: 'success',
+    size,
+    error: '',
+    itemId: randomUUID(),
+    file_type: mimeType,
+    showType,
+    file_class: fileClass,
+    uploadTaskId: randomUUID()
+  };
+}
+
+function isAttachmentPart(part) {
+  return part?.type === 'file' || part?.type === 'input_audio';
+}
+
+// file_id references used anywhere in the conversation
+function collectFileIds(messages) {
+  const ids = new Set();
+  for (const message of messages || []) {
+    if (!Array.isArray(message?.content)) continue;
+    for (const part of message.content) if (part?.type === 'file' && part.file?.file_id) ids.add(part.file.file_id);
+  }
+  return [...ids];
+}
+
+// Upload category (image / audio / video / document) of a file or input_audio part without decoding it, null if unknown
+function attachmentKindOf(part) {
+  if (part.type === 'input_audio') return 'audio';
+  const file = part.file || {};
+  if (file.file_id) {
+    const record = getFile(file.file_id);
+    return record ? fileKindFromMime(record.mime_type) : null;
+  }
+  const dataUriType = String(file.file_data || '').match(/^data:([^;,]+)/)?.[1];
+  return fileKindFromMime(dataUriType || mime.lookup(file.filename || '') || 'application/octet-stream');
+}
+
+// Attachment categories used by user messages (capability checks)
+function collectAttachmentKinds(messages) {
+  const kinds = new Set();
+  for (const message of messages || []) {
+    if (message?.role !== 'user' || !Array.isArray(message.content)) continue;
+    for (const part of message.content) {
+      const kind = isAttachmentPart(part) ? attachmentKindOf(part) : null;
+      if (kind) kinds.add(kind);
+    }
+  }
+  return [...kinds];
+}
+
+// Decode file_data: a data URI, or bare base64 typed by the filename extension
+function decodeFileData(fileData, filename) {
+  const dataUri = String(fileData).match(/^data:([^;,]+)?(?:;[^;,]*)*?;base64,(.*)$/s);
+  if (dataUri) return { buffer: Buffer.from(dataUri[2], 'base64'), mimeType: dataUri[1] || mime.lookup(filename || '') || 'application/octet-stream' };
+  return { buffer: Buffer.from(String(fileData), 'base64'), mimeType: mime.lookup(filename || '') || 'application/octet-stream' };
+}
+
+async function uploadAttachment(buffer, mimeType, filename, token) {
+  const uploaded = await uploadFileBuffer(buffer, mimeType, token, { filename });
+  return buildQwenFileEntry({ kind: fileKindFromMime(mimeType), url: uploaded.url, filename: uploaded.filename, mimeType, size: uploaded.size, fileId: uploaded.fileId });
+}
+
+// Upload one file / input_audio part with the identity's token and return its Qwen file entry
+async function processAttachmentPart(part, token) {
+  if (part.type === 'input_audio') {
+    const format = String(part.input_audio?.format || 'wav').toLowerCase();
+    if (!part.input_audio?.data) throw new Error('input_audio.data is required');
+    const mimeType = AUDIO_FORMATS[format] || mime.lookup(format) || 'audio/wav';
+    return uploadAttachment(Buffer.from(part.input_audio.data, 'base64'), mimeType, `audio.${format}`, token);
+  }
+
+  const file = part.file || {};
+  if (file.file_data) {
+    const { buffer, mimeType } = decodeFileData(file.file_data, file.filename);
+    return uploadAttachment(buffer, mimeType, file.filename, token);
+  }
+  // Files uploaded through /v1/files (ownership is checked when the identity is picked)
+  if (file.file_id) {
+    const record = getFile(file.file_id);
+    if (!record) throw new Error(`Unknown file_id: ${file.file_id}`);
+    return buildQwenFileEntry({ kind: fileKindFromMime(record.mime_type), url: record.url, filename: record.filename, mimeType: record.mime_type, size: record.bytes, fileId: record.qwen_file_id || undefined });
+  }
+  throw new Error('file part requires file_data or file_id');
+}
+
+module.exports = {
+  QWEN_FILE_KINDS,
+  fileKindFromMime,
+  buildQwenFileEntry,
+  isAttachmentPart,
+  collectFileIds,
+  collectAttachmentKinds,
+  processAttachmentPart
+};
@@ -0,0 +1,62 @@
+// Model Capabilities: Check requests against cached upstream model metadata (vision, attachments, chat types, thinking)
+const { baseModelId, getModelInfo } = require('./models');
+
+// Chat types a model has to list for each requested chat type (image_edit is also served by t2i models)
+const REQUIRED_CHAT_TYPES = {
+  search: ['search'],
+  t2i: ['t2i'],
+  image_edit: ['image_edit', 't2i'],
+  t2v: ['t2v'],
+  deep_research: ['deep_research']
+};
+
+// Upstream reports capabilities as booleans and abilities as numeric levels
+function isEnabled(value) {
+  return value === true || (typeof value === 'number' && value > 0);
+}
+
+// Capabilities of a model from the cached catalog, null when the model is not in it
+// Each flag is true / false, or null when upstream does not report it
+function getModelCapabilities(model) {
+  const meta = getModelInfo(model)?.info?.meta;
+  if (!meta) return null;
+  const abilities = meta.abilities || {};
+  const capabilities = meta.capabilities || {};
+  const flag = (key) => (key in abilities || key in capabilities ? isEnabled(abilities[key]) || isEnabled(capabilities[key]) : null);
+  return {
+    vision: flag('vision'),
+    audio: flag('audio'),
+    video: flag('video'),
+    document: flag('document'),
+    thinking: flag('thinking'),
+    chatTypes: Array.isArray(meta.chat_type) ? meta.chat_type : []
+  };
+}
+
+// Reason a request cannot be served by the model, or null when it can (or the metadata is unknown)
+// options: chatType, thinkingEnabled, hasImages, attachmentKinds, visionFallback (a fallback model will take images)
+function checkModelCapabilities(model, { chatType, thinkingEnabled = false, hasImages = false, attachmentKinds = [], visionFallback = false } = {}) {
+  // Generation modes take a text prompt only, whatever the metadata says
+  if (hasImages && chatType === 't2i') return `Model ${model} generates images from text and does not accept image input, use the -image_edit variant to edit images`;
+  if (hasImages && chatType === 't2v') return `Model ${model} generates videos from text and does not accept image input`;
+
+  const caps = getModelCapabilities(model);
+  if (!caps) return null;
+  const base = baseModelId(model);
+  const required = REQUIRED_CHAT_TYPES[chatType];
+  if (required && caps.chatTypes.length > 0 && !required.some((type) => caps.chatTypes.includes(type))) {
+    return `Model ${base} does not support ${chatType} (supported chat types: ${caps.chatTypes.join(', ')})`;
+  }
+  if (thinkingEnabled && caps.thinking === false) return `Model ${base} does not support thinking mode`;
+  if (hasImages && caps.vision === false && !visionFallback && chatType !== 'image_edit') return `Model ${base} does not accept image input`;
+  for (const kind of attachmentKinds) {
+    if (kind !== 'image' && caps[kind] === false) return `Model ${base} does not accept ${kind} input`;
+    if (kind === 'image' && caps.vision === false && !visionFallback) return `Model ${base} does not accept image input`;
+  }
+  return null;
+}
+
+module.exports = {
+  getModelCapabilities,
+  checkModelCapabilities
+};
@@ -20,6 +20,17 @@ function safeReadFile(filePath, defaultValue = '') {
   }
 }
 
+// Parse a JSON-valued environment variable, falling back to defaultValue when unset or invalid
+function parseJsonEnv(name, defaultValue) {
+  if (!process.env[name]) return defaultValue;
+  try {
+    return JSON.parse(process.env[name]);
+  } catch (error) {
+    console.warn(`Invalid JSON in ${name}, ignoring it`, error.message);
+    return defaultValue;
+  }
+}
+
 // Check if using environment variable mode
 function isEnvMode() {
   return !!(process.env.QWEN_TOKEN || process.env.API_KEY || process.env.COOKIE);
@@ -37,7 +48,20 @@ function loadConfig() {
       SERVER_PORT: Number(process.env.SERVER_PORT || process.env.PORT || 8000),
       VISION_FALLBACK_MODEL: process.env.VISION_FALLBACK_MODEL || 'qwen3-vl-plus',
       AUTO_REFRESH_TOKEN: process.env.AUTO_REFRESH_TOKEN !== 'false',
-      TOKEN_REFRESH_INTERVAL_HOURS: Number(process.env.TOKEN_REFRESH_INTERVAL_HOURS || 24)
+      TOKEN_REFRESH_INTERVAL_HOURS: Number(process.env.TOKEN_REFRESH_INTERVAL_HOURS || 24),
+      VIDEO_JOBS_FILE: process.env.VIDEO_JOBS_FILE || '',
+      FILES_INDEX_FILE: process.env.FILES_INDEX_FILE || '',
+      SESSION_MODE: process.env.SESSION_MODE === 'true',
+      CONTEXT_OVERFLOW_STRATEGY: process.env.CONTEXT_OVERFLOW_STRATEGY || 'truncate',
+      CONTEXT_SUMMARY_MODEL: process.env.CONTEXT_SUMMARY_MODEL || '',
+      MODEL_CONTEXT_LIMITS: parseJsonEnv('MODEL_CONTEXT_LIMITS', {}),
+      MODEL_ALIASES: parseJsonEnv('MODEL_ALIASES', {}),
+      MODEL_FALLBACKS: parseJsonEnv('MODEL_FALLBACKS', {}),
+      IDENTITY_STRATEGY: process.env.IDENTITY_STRATEGY || 'round-robin',
+      IDENTITY_WEIGHTS: parseJsonEnv('IDENTITY_WEIGHTS', {}),
+      IDENTITY_MAX_CONCURRENCY: Number(process.env.IDENTITY_MAX_CONCURRENCY || 0),
+      IDENTITY_QUEUE_SIZE: Number(process.env.IDENTITY_QUEUE_SIZE || 100),
+      IDENTITY_QUEUE_TIMEOUT_MS: Number(process.env.IDENTITY_QUEUE_TIMEOUT_MS || 30000)
     };
   }
 
@@ -2,6 +2,7 @@
 // Purpose: Centralize configuration management to avoid reading files everywhere in business code
 const jwt = require('jsonwebtoken');
 const { loadConfig, loadCookie, loadCookies, reloadConfig: reloadConfigLoader } = require('./config-loader');
+const { IDENTITY_STRATEGIES } = require('./identity-strategies');
 
 // Load configuration and Cookie
 const config = loadConfig();
@@ -23,6 +24,38 @@ function isDebugMode() { return !!config.DEBUG_MODE; }
 function getServerPort() { return Number(config.SERVER_PORT || 8000); }
 // Visual model fallback name (automatically switch when pure text model carries images)
 function getVisionFallbackModel() { return config.VISION_FALLBACK_MODEL || ''; }
+// Video job persistence file (empty keeps jobs in memory only)
+function getVideoJobsFile() { return config.VIDEO_JOBS_FILE || ''; }
+// Conversation session mode: continue Qwen chats matched by history hash or the user field (conversation_id always opts in)
+function isSessionModeEnabled() { return !!config.SESSION_MODE; }
+// Context overflow strategy for long histories: truncate (drop oldest turns), summarize or reject
+function getContextOverflowStrategy() {
+  const strategy = String(config.CONTEXT_OVERFLOW_STRATEGY || 'truncate').toLowerCase();
+  return ['truncate', 'summarize', 'reject'].includes(strategy) ? strategy : 'truncate';
+}
+// Model used to summarize dropped turns (summarize strategy)
+function getContextSummaryModel() { return config.CONTEXT_SUMMARY_MODEL || 'qwen-turbo-2025-02-11'; }
+// Configured context limits in tokens by model id; these override upstream metadata
+function getModelContextLimits() { return config.MODEL_CONTEXT_LIMITS || {}; }
+// Model alias table: name or glob pattern -> Qwen model id, or { model, params } with default request parameters
+function getModelAliases() { return config.MODEL_ALIASES || {}; }
+// Model fallback chains: model id -> models tried in order when it is rate limited, unavailable or times out
+function getModelFallbacks() { return config.MODEL_FALLBACKS || {}; }
+// Identity selection strategy for the cookie pool: round-robin, least-inflight, latency or weighted
+function getIdentityStrategy() {
+  const strategy = String(config.IDENTITY_STRATEGY || 'round-robin').toLowerCase();
+  return IDENTITY_STRATEGIES.includes(strategy) ? strategy : 'round-robin';
+}
+// Per-identity weights for the weighted strategy: identity id (identity-N is the Nth cookie) -> weight
+function getIdentityWeights() { return config.IDENTITY_WEIGHTS || {}; }
+// Concurrent upstream requests allowed per identity (0 = unlimited)
+function getIdentityMaxConcurrency() { return Math.max(0, Number(config.IDENTITY_MAX_CONCURRENCY) || 0); }
+// Requests that may wait for a free identity slot before new ones are rejected with 429
+function getIdentityQueueSize() { return Math.max(0, Number(config.IDENTITY_QUEUE_SIZE ?? 100) || 0); }
+// How long a queued request waits for a slot before it fails with 503 (ms)
+function getIdentityQueueTimeout() { return Math.max(1000, Number(config.IDENTITY_QUEUE_TIMEOUT_MS) || 30000); }
+// /v1/files index file (empty uses files-index.json in the project root)
+function getFilesIndexFile() { return config.FILES_INDEX_FILE || ''; }
 
 // JWT token parsing and expiration time detection
 function parseJwtToken(token) {
@@ -141,6 +174,19 @@ module.exports = {
   isDebugMode,
   getServerPort,
   getVisionFallbackModel,
+  getVideoJobsFile,
+  getFilesIndexFile,
+  isSessionModeEnabled,
+  getContextOverflowStrategy,
+  getContextSummaryModel,
+  getModelContextLimits,
+  getModelAliases,
+  getModelFallbacks,
+  getIdentityStrategy,
+  getIdentityWeights,
+  getIdentityMaxConcurrency,
+  getIdentityQueueSize,
+  getIdentityQueueTimeout,
   parseJwtToken,
   isTokenExpired,
   getTokenExpiryTime,
@@ -0,0 +1,104 @@
+// Context Window: Fit long conversation histories into a model's context limit (drop or summarize old turns, or reject)
+const { estimateTokens, estimateMessagesTokens } = require('./usage');
+const { logger } = require('./logger');
+
+const CONTEXT_STRATEGIES = ['truncate', 'summarize', 'reject'];
+
+const CONTEXT_WINDOW_CONFIG = {
+  // Room kept free for the summary message when summarizing
+  summaryTokenAllowance: 1024,
+  // Only the most recent part of the dropped turns is sent to the summary model
+  maxSummaryInputTokens: 24000
+};
+
+const SUMMARY_HEADER = 'Summary of the earlier part of this conversation (older messages were condensed to fit the context window):';
+
+function messageText(message) {
+  const content = message?.content;
+  let text = '';
+  if (typeof content === 'string') text = content;
+  else if (Array.isArray(content)) text = content.map((part) => (part?.type === 'text' ? (part.text || '') : `[${part?.type || 'attachment'}]`)).join(' ');
+  if (Array.isArray(message?.tool_calls)) text += ` ${JSON.stringify(message.tool_calls.map((call) => call.function))}`;
+  return text.trim();
+}
+
+// Prompt estimate including tool definitions and assistant tool calls (both end up in the upstream prompt text)
+function estimateRequestTokens(messages, tools) {
+  let total = estimateMessagesTokens(messages);
+  for (const message of messages) {
+    if (Array.isArray(message?.tool_calls)) total += estimateTokens(JSON.stringify(message.tool_calls));
+  }
+  if (Array.isArray(tools) && tools.length > 0) total += estimateTokens(JSON.stringify(tools));
+  return total;
+}
+
+// Leading system prompt, then turns that each start at a user message (tool results stay with their call)
+function splitTurns(messages) {
+  let start = 0;
+  while (start < messages.length && (messages[start]?.role === 'system' || messages[start]?.role === 'developer')) start++;
+  const turns = [];
+  for (const message of messages.slice(start)) {
+    if (message?.role === 'user' || turns.length === 0) turns.push([message]);
+    else turns[turns.length - 1].push(message);
+  }
+  return { system: messages.slice(0, start), turns };
+}
+
+// Prompt asking the summary model to condense dropped turns (most recent part only, to stay within its own limit)
+function buildSummaryPrompt(messages) {
+  const lines = [];
+  let tokens = 0;
+  for (let i = messages.length - 1; i >= 0; i--) {
+    const line = `${messages[i].role}: ${messageText(messages[i])}`;
+    tokens += estimateTokens(line);
+    if (tokens > CONTEXT_WINDOW_CONFIG.maxSummaryInputTokens) break;
+    lines.unshift(line);
+  }
+  return [
+    'Summarize the following conversation excerpt so it can replace the original messages.',
+    'Keep facts, decisions, names, numbers, code identifiers and open questions. Reply with the summary only.',
+    '',
+    ...lines
+  ].join('\n');
+}
+
+// Fit messages into limit tokens; tool definitions and reserve (requested output tokens) count against it
+// options.summarize(droppedMessages) resolves summary text for the summarize strategy; on failure turns are just dropped
+// Resolves { messages, tokens, dropped, summarized }, or { overflow: true, tokens, limit } when it cannot fit
+async function fitContextWindow(messages, { limit, strategy = 'truncate', tools, reserve = 0, summarize } = {}) {
+  const measure = (list) => estimateRequestTokens(list, tools) + reserve;
+  const tokens = measure(messages);
+  if (!limit || tokens <= limit) return { messages, tokens, dropped: 0, summarized: false };
+  if (strategy === 'reject') return { overflow: true, tokens, limit };
+
+  // Drop the oldest turns, always keeping the system prompt and the latest turn
+  const { system, turns } = splitTurns(messages);
+  const allowance = strategy === 'summarize' && summarize ? Math.min(CONTEXT_WINDOW_CONFIG.summaryTokenAllowance, Math.floor(limit / 4)) : 0;
+  const dropped = [];
+  while (turns.length > 1 && measure([...system, ...turns.flat()]) + allowance > limit) dropped.push(...turns.shift());
+  let fitted = [...system, ...turns.flat()];
+  if (measure(fitted) > limit) return { overflow: true, tokens, limit };
+
+  let summarized = false;
+  if (allowance > 0 && dropped.length > 0) {
+    try {
+      const summary = String(await summarize(dropped) || '').trim();
+      const candidate = [...system, { role: 'system', content: `${SUMMARY_HEADER}\n${summary}` }, ...turns.flat()];
+      if (summary && measure(candidate) <= limit) {
+        fitted = candidate;
+        summarized = true;
+      }
+    } catch (e) {
+      logger.warn('Context summary failed, dropping old turns instead', { error: e.message });
+    }
+  }
+  return { messages: fitted, tokens: measure(fitted), dropped: dropped.length, summarized };
+}
+
+module.exports = {
+  CONTEXT_STRATEGIES,
+  CONTEXT_WINDOW_CONFIG,
+  estimateRequestTokens,
+  buildSummaryPrompt,
+  fitContextWindow
+};
@@ -0,0 +1,126 @@
+// File Store: Local index of files uploaded through /v1/files (Qwen OSS URL, metadata and owning identity)
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { logger } = require('./logger');
+
+const DEFAULT_INDEX_PATH = path.join(__dirname, '..', 'files-index.json');
+// Entries saved without an expiry are assumed to expire like the upload cache (see IMAGE_UPLOAD_CONFIG.cacheTtl)
+const DEFAULT_URL_TTL_SECONDS = 30 * 60;
+
+const files = new Map();
+let indexPath = '';
+
+function persist() {
+  if (!indexPath) return;
+  try {
+    const tmp = `${indexPath}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify([...files.values()], null, 2));
+    fs.renameSync(tmp, indexPath);
+  } catch (e) {
+    logger.error('Failed to persist file index', e, { indexPath });
+  }
+}
+
+function credentialHash(secret) {
+  return crypto.createHash('sha256').update(secret || '').digest('hex').slice(0, 16);
+}
+
+// Owner key for an identity: a hash of the pool cookie (stable across restarts, reorders and reloads),
+// or of the credentials for legacy (request / single cookie) identities
+function ownerOf(identity) {
+  if (!identity) return null;
+  if (identity.id !== 'legacy') return `pool:${credentialHash(identity.cookie)}`;
+  return `legacy:${credentialHash(identity.cookie || identity.token)}`;
+}
+
+// Legacy owners are only visible to the same credentials, pool owners are shared by the whole proxy
+// record: anything with an owner key (file entries, video jobs)
+function isAccessibleBy(record, identity) {
+  if (!record) return false;
+  if (!String(record.owner).startsWith('legacy:')) return true;
+  return record.owner === ownerOf(identity);
+}
+
+// Unix time (seconds) after which the signed OSS url no longer works
+function urlExpiresAt(record) {
+  return record.url_expires_at || record.created_at + DEFAULT_URL_TTL_SECONDS;
+}
+
+function isFileExpired(record) {
+  return urlExpiresAt(record) * 1000 <= Date.now();
+}
+
+// OpenAI file object
+function toFileObject(record) {
+  return {
+    id: record.id,
+    object: 'file',
+    bytes: record.bytes,
+    created_at: record.created_at,
+    expires_at: urlExpiresAt(record),
+    filename: record.filename,
+    purpose: record.purpose,
+    status: 'processed'
+  };
+}
+
+// expiresAt: when the signed url stops working (ms timestamp)
+function addFile({ filename, purpose, bytes, mimeType, url, expiresAt, qwenFileId, identity }) {
+  const record = {
+    id: `file-${crypto.randomUUID().replace(/-/g, '')}`,
+    filename,
+    purpose: purpose || 'user_data',
+    bytes,
+    mime_type: mimeType,
+    url,
+    url_expires_at: expiresAt ? Math.floor(expiresAt / 1000) : null,
+    qwen_file_id: qwenFileId || null,
+    owner: ownerOf(identity),
+    created_at: Math.floor(Date.now() / 1000)
+  };
+  files.set(record.id, record);
+  persist();
+  return record;
+}
+
+function getFile(id) {
+  return files.get(id) || null;
+}
+
+function listFiles({ purpose } = {}) {
+  return [...files.values()]
+    .filter((record) => !purpose || record.purpose === purpose)
+    .sort((a, b) => b.created_at - a.created_at);
+}
+
+function deleteFile(id) {
+  const existed = files.delete(id);
+  if (existed) persist();
+  return existed;
+}
+
+// Load the index from disk; file is optional and defaults to files-index.json in the project root
+function initFileStore({ file } = {}) {
+  indexPath = path.resolve(file || DEFAULT_INDEX_PATH);
+  if (!fs.existsSync(indexPath)) return;
+  try {
+    const saved = JSON.parse(fs.readFileSync(indexPath, 'utf-8'));
+    for (const record of Array.isArray(saved) ? saved : []) if (record?.id) files.set(record.id, record);
+    logger.info('Loaded file index', { count: files.size, file: indexPath });
+  } catch (e) {
+    logger.error('Failed to load file index', e, { file: indexPath });
+  }
+}
+
+module.exports = {
+  initFileStore,
+  ownerOf,
+  isAccessibleBy,
+  isFileExpired,
+  toFileObject,
+  addFile,
+  getFile,
+  listFiles,
+  deleteFile
+};
@@ -1,7 +1,11 @@
 // Identity Pool Module: Manage multiple Cookie/Token combinations to implement load balancing and failover
+const fs = require('fs');
 const { randomUUID } = require('crypto');
-const { getCookies, isTokenExpired, getTokenExpiryTime, getTokenRemainingTime } = require('./config');
+const { getCookies, isTokenExpired, getTokenExpiryTime, getTokenRemainingTime, getIdentityStrategy, getIdentityWeights, getIdentityMaxConcurrency, getIdentityQueueSize, getIdentityQueueTimeout } = require('./config');
+const { COOKIE_PATH } = require('./config-loader');
 const { getTokenFromCookie } = require('./token-refresh');
+const { selectIdentity } = require('./identity-strategies');
+const { fetchModelCatalog } = require('./models');
 const { logger } = require('./logger');
 
 // Identity status
@@ -11,9 +15,43 @@ const IDENTITY_STATUS = {
   DOWN: 'down'
 };
 
+// Error code of requests turned away because every identity is at its concurrency limit
+const POOL_SATURATED = 'IDENTITY_POOL_SATURATED';
+// The request gave up waiting for a slot (client disconnected)
+const SLOT_WAIT_ABORTED = 'IDENTITY_SLOT_WAIT_ABORTED';
+
+// Circuit breaker states: closed (serving), open (cooling down), half-open (one trial request or probe decides)
+const BREAKER_STATE = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half_open'
+};
+
+const CIRCUIT_BREAKER_CONFIG = {
+  // Failures before an identity is reported degraded (it keeps serving)
+  degradedThreshold: 3,
+  // Failures that open the breaker
+  failureThreshold: 5,
+  // First cooldown, doubled for every consecutive trip up to maxCooldown
+  baseCooldown: 60 * 1000,
+  maxCooldown: 30 * 60 * 1000,
+  // A half-open trial that never reports success or failure is given up after this long
+  trialTimeout: 2 * 60 * 1000,
+  // Background probe of identities whose cooldown has passed
+  probeInterval: 60 * 1000,
+  // Rest for a rate-limited identity when upstream sends no Retry-After (longer hints are capped at maxCooldown)
+  rateLimitCooldown: 30 * 1000
+};
+
+// Cookie file changes are applied once writes have settled for this long
+const COOKIE_RELOAD_DEBOUNCE = 1000;
+
+// Smoothing factor of the upstream latency moving average (higher reacts faster to recent requests)
+const LATENCY_EWMA_ALPHA = 0.3;
+
 // Identity object
 class Identity {
-  constructor(id, cookie) {
+  constructor(id, cookie, weight = 1) {
     this.id = id;
     this.cookie = cookie;
     this.token = null;
@@ -23,56 +61,148 @@ class Identity {
     this.lastUsedAt = null;
     this.nextRetryAt = null; // Circuit breaker recovery time
     this.lastError = null;
+    this.breakerState = BREAKER_STATE.CLOSED;
+    this.tripCount = 0; // Consecutive trips, drives the exponential cooldown
+    this.trialStartedAt = null; // Half-open trial in progress
+    this.cooldownUntil = null; // Rate-limit rest, separate from the breaker
+    this.retiring = false; // Removed from the cookie list, finishing its in-flight requests
+    this.weight = weight; // Share of traffic under the weighted strategy
+    this.currentWeight = 0; // Smooth weighted round-robin state
+    this.inFlight = 0;
+    this.latencyEwma = null; // Moving average of upstream response latency (ms)
+    this.lastLatencyMs = null;
+    this.latencySamples = 0;
+  }
+
+  // Open breakers turn half-open once their cooldown has passed
+  refreshBreaker() {
+    if (this.breakerState === BREAKER_STATE.OPEN && Date.now() >= this.nextRetryAt) {
+      this.breakerState = BREAKER_STATE.HALF_OPEN;
+      this.trialStartedAt = null;
+      logger.info(`Identity ${this.id} circuit half-open, next request is a trial`);
+    }
   }
 
   // Check if available
   isAvailable() {
-    if (this.status === IDENTITY_STATUS.DOWN) {
+    if (!this.token || isTokenExpired(this.token)) {
       return false;
     }
-    if (this.nextRetryAt && Date.now() < this.nextRetryAt) {
+    if (this.cooldownUntil && Date.now() < this.cooldownUntil) {
+      return false; // Rate limited
+    }
+    this.refreshBreaker();
+    if (this.breakerState === BREAKER_STATE.OPEN) {
       return false; // Still in circuit breaker period
     }
-    if (!this.token || isTokenExpired(this.token)) {
-      return false;
+    if (this.breakerState === BREAKER_STATE.HALF_OPEN) {
+      return this.canStartTrial();
     }
     return true;
   }
 
+  // Only one half-open trial at a time; a trial that never reports back is given up after trialTimeout
+  canStartTrial() {
+    return !this.trialStartedAt || Date.now() - this.trialStartedAt > CIRCUIT_BREAKER_CONFIG.trialTimeout;
+  }
+
+  // Claim the half-open trial for the request about to run (no-op while closed)
+  claimTrial() {
+    if (this.breakerState === BREAKER_STATE.HALF_OPEN) this.trialStartedAt = Date.now();
+  }
+
+  // Open the breaker; every consecutive trip doubles the cooldown
+  trip() {
+    const cooldown = Math.min(CIRCUIT_BREAKER_CONFIG.maxCooldown, CIRCUIT_BREAKER_CONFIG.baseCooldown * 2 ** this.tripCount);
+    this.tripCount++;
+    this.breakerState = BREAKER_STATE.OPEN;
+    this.status = IDENTITY_STATUS.DOWN;
+    this.nextRetryAt = Date.now() + cooldown;
+    this.trialStartedAt = null;
+    logger.warn(`Identity ${this.id} circuit opened`, { tripCount: this.tripCount, cooldownMs: cooldown });
+  }
+
+  // Rest after a rate limit without counting a failure (ms defaults to rateLimitCooldown)
+  coolDown(ms) {
+    const duration = Math.min(CIRCUIT_BREAKER_CONFIG.maxCooldown, ms ?? CIRCUIT_BREAKER_CONFIG.rateLimitCooldown);
+    this.cooldownUntil = Math.max(this.cooldownUntil || 0, Date.now() + duration);
+    logger.warn(`Identity ${this.id} rate limited, cooling down`, { cooldownMs: duration });
+  }
+
   // Mark failure
   markFailure(error = null) {
     this.failCount++;
     this.lastError = error;
 
-    // Adjust status based on failure count
-    if (this.failCount >= 5) {
-      this.status = IDENTITY_STATUS.DOWN;
-      this.nextRetryAt = Date.now() + 5 * 60 * 1000; // Retry after 5 minutes
-    } else if (this.failCount >= 3) {
-      this.status = IDENTITY_STATUS.DEGRADED;
-      this.nextRetryAt = Date.now() + 2 * 60 * 1000; // Retry after 2 minutes
+    if (this.breakerState === BREAKER_STATE.HALF_OPEN) {
+      this.trip(); // Trial failed
+    } else if (this.breakerState === BREAKER_STATE.CLOSED) {
+      // Adjust status based on failure count
+      if (this.failCount >= CIRCUIT_BREAKER_CONFIG.failureThreshold) {
+        this.trip();
+      } else if (this.failCount >= CIRCUIT_BREAKER_CONFIG.degradedThreshold) {
+        this.status = IDENTITY_STATUS.DEGRADED;
+      }
     }
 
     logger.warn(`Identity ${this.id} marked as failed`, {
       failCount: this.failCount,
       status: this.status,
+      breaker: this.breakerState,
       error: error?.message || error
     });
   }
 
   // Mark success
   markSuccess() {
-    if (this.failCount > 0) {
-      this.failCount = Math.max(0, this.failCount - 1); // Decrease failure count on success
-    }
-    if (this.status !== IDENTITY_STATUS.HEALTHY && this.isAvailable()) {
+    if (this.breakerState !== BREAKER_STATE.CLOSED) {
+      // A successful trial or probe closes the breaker and resets the backoff
+      this.breakerState = BREAKER_STATE.CLOSED;
       this.status = IDENTITY_STATUS.HEALTHY;
+      this.failCount = 0;
+      this.tripCount = 0;
       this.nextRetryAt = null;
+      this.trialStartedAt = null;
       logger.info(`Identity ${this.id} recovered to health`, { status: this.status });
+    } else if (this.failCount > 0) {
+      this.failCount = Math.max(0, this.failCount - 1); // Decrease failure count on success
+      if (this.status === IDENTITY_STATUS.DEGRADED && this.failCount < CIRCUIT_BREAKER_CONFIG.degradedThreshold) {
+        this.status = IDENTITY_STATUS.HEALTHY;
+        logger.info(`Identity ${this.id} recovered to health`, { status: this.status });
+      }
     }
     this.lastUsedAt = Date.now();
   }
 
+  // Count a request in flight; the returned release function ends it (safe to call more than once)
+  beginRequest() {
+    this.inFlight++;
+    let released = false;
+    return () => {
+      if (released) return;
+      released = true;
+      this.inFlight = Math.max(0, this.inFlight - 1);
+    };
+  }
+
+  // Whether another request may start (maxConcurrency <= 0 means unlimited)
+  hasCapacity(maxConcurrency) {
+    return maxConcurrency <= 0 || this.inFlight < maxConcurrency;
+  }
+
+  // Whether a request may start now: below the concurrency limit, and not while another request holds the half-open trial
+  canStartRequest(maxConcurrency) {
+    if (!this.hasCapacity(maxConcurrency)) return false;
+    return this.breakerState !== BREAKER_STATE.HALF_OPEN || this.canStartTrial();
+  }
+
+  // Record how long upstream took to answer a request
+  recordLatency(ms) {
+    this.lastLatencyMs = ms;
+    this.latencySamples++;
+    this.latencyEwma = this.latencyEwma === null ? ms : LATENCY_EWMA_ALPHA * ms + (1 - LATENCY_EWMA_ALPHA) * this.latencyEwma;
+  }
+
   // Update token
   updateToken(token) {
     this.token = token;
@@ -83,12 +213,41 @@ class Identity {
   }
 }
 
+// Configured weight for an identity id (default 1; non-positive or invalid values fall back to 1)
+function identityWeight(weights, id) {
+  const weight = Number(weights[id]);
+  return Number.isFinite(weight) && weight > 0 ? weight : 1;
+}
+
+// Saturation error: 429 when the wait queue is full, 503 when the wait timed out; retryAfter is in seconds
+function poolSaturatedError(status, message) {
+  const error = new Error(message);
+  error.code = POOL_SATURATED;
+  error.status = status;
+  error.retryAfter = Math.max(1, Math.ceil(getIdentityQueueTimeout() / 1000));
+  return error;
+}
+
+function slotWaitAbortedError() {
+  const error = new Error('Request aborted while waiting for an identity slot');
+  error.code = SLOT_WAIT_ABORTED;
+  return error;
+}
+
 // Identity Pool Management Class
 class IdentityPool {
   constructor() {
     this.identities = [];
-    this.currentIndex = 0; // Round-robin index
+    this.currentIndex = 0; // Round-robin cursor into identities
     this.initialized = false;
+    this.waiters = []; // Requests waiting for a concurrency slot: { identity, pinned, grant, timer }
+    this.legacySlots = new Map(); // credential -> slot tracker of legacy identities (single cookie and client-side mode)
+    this.probeTimer = null;
+    this.retiring = []; // Removed identities that still have requests in flight or queued
+    this.nextIdentityNumber = 1;
+    this.knownIdentities = new Map(); // cookie -> identity, so a cookie added back while its old identity drains keeps its id and state
+    this.reloading = null;
+    this.cookieWatcherStarted = false;
   }
 
   // Initialize identity pool
@@ -109,33 +268,8 @@ class IdentityPool {
     logger.info(`Found ${cookies.length} Cookies, starting to get corresponding Tokens...`);
 
     // Create identity for each Cookie and get Token
-    const initPromises = cookies.map(async (cookie, index) => {
-      const id = `identity-${index + 1}`;
-      const identity = new Identity(id, cookie);
-
-      try {
-        logger.info(`Getting Token for ${id}...`);
-        const result = await getTokenFromCookie(cookie);
-
-        if (result.success && result.newToken) {
-          identity.updateToken(result.newToken);
-          logger.info(`${id} Token acquisition successful`, {
-            tokenLength: result.newToken.length,
-            expiresAt: identity.tokenExp ? new Date(identity.tokenExp).toISOString() : 'unknown'
-          });
-        } else {
-          identity.status = IDENTITY_STATUS.DEGRADED;
-          identity.markFailure(result.error || 'Token acquisition failed');
-          logger.error(`${id} Token acquisition failed`, { error: result.error });
-        }
-      } catch (error) {
-        identity.status = IDENTITY_STATUS.DEGRADED;
-        identity.markFailure(error);
-        logger.error(`${id} initialization failed`, error);
-      }
-
-      return identity;
-    });
+    const initPromises = cookies.map((cookie, index) => this.createIdentity(`identity-${index + 1}`, cookie));
+    this.nextIdentityNumber = cookies.length + 1;
 
     this.identities = await Promise.all(initPromises);
 
@@ -150,7 +284,155 @@ class IdentityPool {
     this.initialized = true;
   }
 
-  // Get available identity (round-robin strategy)
+  // Create an identity for a cookie and acquire its token (failures leave it degraded, token refresh retries later)
+  async createIdentity(id, cookie) {
+    const identity = new Identity(id, cookie, identityWeight(getIdentityWeights(), id));
+    this.knownIdentities.set(cookie, identity);
+
+    try {
+      logger.info(`Getting Token for ${id}...`);
+      const result = await getTokenFromCookie(cookie);
+
+      if (result.success && result.newToken) {
+        identity.updateToken(result.newToken);
+        logger.info(`${id} Token acquisition successful`, {
+          tokenLength: result.newToken.length,
+          expiresAt: identity.tokenExp ? new Date(identity.tokenExp).toISOString() : 'unknown'
+        });
+      } else {
+        identity.status = IDENTITY_STATUS.DEGRADED;
+        identity.markFailure(result.error || 'Token acquisition failed');
+        logger.error(`${id} Token acquisition failed`, { error: result.error });
+      }
+    } catch (error) {
+      identity.status = IDENTITY_STATUS.DEGRADED;
+      identity.markFailure(error);
+      logger.error(`${id} initialization failed`, error);
+    }
+
+    return identity;
+  }
+
+  // Re-read the cookie list and apply the difference; concurrent calls share one reload
+  // Resolves { added, removed } (identity ids), or null when nothing was applied
+  async reload() {
+    if (!this.reloading) {
+      this.reloading = this.reloadCookies().finally(() => { this.reloading = null; });
+    }
+    return this.reloading;
+  }
+
+  async reloadCookies() {
+    const cookies = getCookies();
+    // An empty list is far more likely a half-written cookie file than an intent to drop every account
+    if (cookies.length === 0) {
+      logger.warn('Cookie reload found no cookies, identity pool kept as is');
+      return null;
+    }
+    if (this.initialized) return this.applyCookies(cookies);
+    // Single cookie deployments stay in traditional mode until the list grows past one cookie
+    if (cookies.length < 2) {
+      logger.info('Cookie reload found a single cookie, staying in traditional mode');
+      return null;
+    }
+    logger.info(`Cookie list grew to ${cookies.length} cookies, enabling load balancing mode`);
+    await this.initialize();
+    return { added: this.identities.map(identity => identity.id), removed: [] };
+  }
+
+  // New cookies join once their token is acquired, removed ones are retired, unchanged identities keep their state
+  async applyCookies(cookies) {
+    const wanted = [...new Set(cookies)];
+    const current = new Map(this.identities.map(identity => [identity.cookie, identity]));
+    const addedCookies = wanted.filter(cookie => !current.has(cookie));
+    const removed = this.identities.filter(identity => !wanted.includes(identity.cookie) || current.get(identity.cookie) !== identity);
+    if (addedCookies.length === 0 && removed.length === 0) {
+      logger.info('Cookie list unchanged, identity pool kept as is');
+      return { added: [], removed: [] };
+    }
+
+    const created = await Promise.all(addedCookies.map(cookie => this.knownIdentities.has(cookie)
+      ? this.restoreIdentity(this.knownIdentities.get(cookie))
+      : this.createIdentity(`identity-${this.nextIdentityNumber++}`, cookie)));
+    const createdByCookie = new Map(created.map(identity => [identity.cookie, identity]));
+    this.identities = wanted.map(cookie => current.get(cookie) || createdByCookie.get(cookie));
+    // Cookies map to their serving identity, so retiring a replaced duplicate does not forget it
+    this.identities.forEach(identity => this.knownIdentities.set(identity.cookie, identity));
+    this.currentIndex = 0;
+    removed.forEach(identity => this.retire(identity));
+
+    const result = { added: created.map(identity => identity.id), removed: removed.map(identity => identity.id) };
+    logger.info('Identity pool reloaded', { ...result, total: this.identities.length });
+    return result;
+  }
+
+  // Bring back the identity of a cookie that was removed earlier and is still draining (same id, breaker state and stats)
+  async restoreIdentity(identity) {
+    identity.retiring = false;
+    this.retiring = this.retiring.filter(entry => entry !== identity);
+    if (!identity.token || isTokenExpired(identity.token)) await this.refreshIdentityToken(identity);
+    logger.info(`Identity ${identity.id} restored`);
+    return identity;
+  }
+
+  // A removed identity gets no new requests; it is dropped once its in-flight and queued requests are done
+  retire(identity) {
+    identity.retiring = true;
+    if (this.hasPendingWork(identity)) {
+      this.retiring.push(identity);
+      logger.info(`Identity ${identity.id} removed from cookie list, draining`, { inFlight: identity.inFlight });
+    } else {
+      this.forgetIdentity(identity);
+      logger.info(`Identity ${identity.id} retired`);
+    }
+  }
+
+  // A fully retired identity is not restored any more, its cookie gets a new identity if it comes back
+  forgetIdentity(identity) {
+    if (this.knownIdentities.get(identity.cookie) === identity) this.knownIdentities.delete(identity.cookie);
+  }
+
+  hasPendingWork(identity) {
+    return identity.inFlight > 0 || this.waiters.some(waiter => waiter.identity === identity);
+  }
+
+  // Drop a draining identity (or an idle legacy slot tracker) once it has nothing left to do
+  finishRetirement(identity) {
+    if (this.legacySlots.get(identity.cookie) === identity) {
+      if (!this.hasPendingWork(identity)) this.legacySlots.delete(identity.cookie);
+      return;
+    }
+    if (!identity.retiring || this.hasPendingWork(identity) || !this.retiring.includes(identity)) return;
+    this.retiring = this.retiring.filter(entry => entry !== identity);
+    this.forgetIdentity(identity);
+    logger.info(`Identity ${identity.id} drained and retired`);
+  }
+
+  // Reload the pool when the cookie file changes (polled, so editors that replace the file are seen) or on SIGHUP
+  // Cookies from the COOKIE environment variable cannot change while the process runs, so there is nothing to watch then
+  watchCookies() {
+    if (this.cookieWatcherStarted) return;
+    this.cookieWatcherStarted = true;
+    if (process.env.COOKIE) {
+      logger.info('Cookies come from the COOKIE environment variable, hot reload disabled (restart to apply changes)');
+      return;
+    }
+    let timer = null;
+    const scheduleReload = (reason) => {
+      clearTimeout(timer);
+      timer = setTimeout(() => {
+        logger.info('Reloading identity pool', { reason });
+        this.reload().catch(error => logger.error('Identity pool reload failed', error));
+      }, COOKIE_RELOAD_DEBOUNCE);
+    };
+    fs.watchFile(COOKIE_PATH, { interval: 2000 }, (curr, prev) => {
+      if (curr.mtimeMs !== prev.mtimeMs) scheduleReload('cookie file changed');
+    });
+    process.on('SIGHUP', () => scheduleReload('SIGHUP'));
+    logger.info('Cookie hot reload enabled', { file: COOKIE_PATH, signal: 'SIGHUP' });
+  }
+
+  // Get available identity (selection strategy from IDENTITY_STRATEGY)
   getAvailableIdentity() {
     if (this.identities.length === 0) {
       return null;
@@ -166,14 +448,119 @@ class IdentityPool {
         return null;
       }
       logger.warn('All identities are unavailable, using degraded identities');
-      return allIdentities[this.currentIndex % allIdentities.length];
+      return selectIdentity('round-robin', allIdentities, this);
     }
 
-    // Round-robin selection
-    const selected = availableIdentities[this.currentIndex % availableIdentities.length];
-    this.currentIndex = (this.currentIndex + 1) % availableIdentities.length;
+    // Identities below their concurrency limit first; when all are saturated the request queues on the pick
+    const maxConcurrency = getIdentityMaxConcurrency();
+    const withCapacity = availableIdentities.filter(id => id.hasCapacity(maxConcurrency));
+    // A half-open pick claims its trial only once the request starts (startRequest), callers that never run one leave it free
+    return selectIdentity(getIdentityStrategy(), withCapacity.length > 0 ? withCapacity : availableIdentities, this);
+  }
 
-    return selected;
+  // Take a concurrency slot on an identity, waiting in the bounded queue while it is at IDENTITY_MAX_CONCURRENCY
+  // or another request holds its half-open trial
+  // Resolves { identity, release }: identity is where the slot was taken, release frees it (safe to call more than once)
+  // Rejects with a POOL_SATURATED error when the queue is full or the wait times out
+  // options.signal: AbortSignal that takes a queued request out of the queue (rejects with a SLOT_WAIT_ABORTED error)
+  // options.pinned: the request must run on this identity; otherwise a queued request takes the first pool identity that frees up
+  async acquireSlot(identity, { signal, pinned = false } = {}) {
+    if (signal?.aborted) throw slotWaitAbortedError();
+    // Legacy identities are plain credential objects, their slots are counted per credential
+    const legacy = typeof identity?.beginRequest !== 'function';
+    const tracker = legacy ? this.legacyTracker(identity) : identity;
+    const maxConcurrency = getIdentityMaxConcurrency();
+    // Queued requests get freed capacity first, a newcomer only starts where nobody is waiting
+    this.drainQueue();
+    if (tracker.canStartRequest(maxConcurrency) && !this.waiters.some(waiter => waiter.identity === tracker)) {
+      return this.startRequest(tracker, identity);
+    }
+    if (this.waiters.length >= getIdentityQueueSize()) {
+      this.finishRetirement(tracker);
+      throw poolSaturatedError(429, 'All identities are at their concurrency limit and the wait queue is full');
+    }
+
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        leave();
+        logger.info(`Request left the queue of identity ${identity.id}`, { queued: this.waiters.length });
+        reject(slotWaitAbortedError());
+      };
+      const leave = () => {
+        this.waiters = this.waiters.filter(entry => entry !== waiter);
+        clearTimeout(waiter.timer);
+        signal?.removeEventListener('abort', onAbort);
+        this.finishRetirement(tracker);
+      };
+      const waiter = {
+        identity: tracker,
+        pinned: pinned || legacy,
+        grant: (granted) => {
+          signal?.removeEventListener('abort', onAbort);
+          if (granted !== tracker) logger.info(`Queued request moved from identity ${identity.id} to ${granted.id}`);
+          resolve(this.startRequest(granted, granted === tracker ? identity : granted));
+          this.finishRetirement(tracker);
+        }
+      };
+      waiter.timer = setTimeout(() => {
+        leave();
+        reject(poolSaturatedError(503, `Timed out waiting for a free slot on identity ${identity.id}`));
+      }, getIdentityQueueTimeout());
+      signal?.addEventListener('abort', onAbort, { once: true });
+      this.waiters.push(waiter);
+      logger.info(`Identity ${identity.id} is busy, request queued`, { queued: this.waiters.length, breaker: tracker.breakerState });
+    });
+  }
+
+  // Slot tracker shared by every request of one legacy credential
+  legacyTracker(identity) {
+    const key = identity?.cookie || identity?.token || '';
+    let tracker = this.legacySlots.get(key);
+    if (!tracker) {
+      tracker = new Identity(identity?.id || 'legacy', key);
+      this.legacySlots.set(key, tracker);
+    }
+    return tracker;
+  }
+
+  // Count the request on the tracked identity and claim its half-open trial; freeing the slot ends both and hands it to the next waiter
+  // identity: what the caller sees as the slot's identity (the legacy credential object for legacy trackers)
+  startRequest(tracker, identity = tracker) {
+    const end = tracker.beginRequest();
+    tracker.claimTrial();
+    const release = () => {
+      end();
+      // A trial that ended without success or failure (e.g. client disconnect) lets the next request try
+      if (tracker.breakerState === BREAKER_STATE.HALF_OPEN) tracker.trialStartedAt = null;
+      this.drainQueue();
+      this.finishRetirement(tracker);
+    };
+    return { identity, release };
+  }
+
+  // Grant freed slots to waiters in arrival order: on their own identity, or (unpinned) any available pool identity with room
+  drainQueue() {
+    const maxConcurrency = getIdentityMaxConcurrency();
+    for (const waiter of [...this.waiters]) {
+      const granted = this.slotFor(waiter, maxConcurrency);
+      if (!granted) continue;
+      this.waiters = this.waiters.filter(entry => entry !== waiter);
+      clearTimeout(waiter.timer);
+      waiter.grant(granted);
+    }
+  }
+
+  // Identity a queued request can start on now (null keeps it waiting)
+  slotFor(waiter, maxConcurrency) {
+    if (waiter.identity.canStartRequest(maxConcurrency)) return waiter.identity;
+    if (waiter.pinned) return null;
+    const free = this.identities.filter(identity => identity.isAvailable() && identity.canStartRequest(maxConcurrency));
+    return free.length > 0 ? selectIdentity(getIdentityStrategy(), free, this) : null;
+  }
+
+  // Record upstream latency for an identity (ignored for legacy identities)
+  recordLatency(identity, ms) {
+    if (typeof identity?.recordLatency === 'function') identity.recordLatency(ms);
   }
 
   // Mark identity failure
@@ -198,6 +585,11 @@ class IdentityPool {
     }
   }
 
+  // Rate-limit cooldown for an identity (ignored for legacy identities)
+  coolDownIdentity(identity, ms = null) {
+    if (typeof identity?.coolDown === 'function') identity.coolDown(ms);
+  }
+
   // Refresh Token for specified identity
   async refreshIdentityToken(identity) {
     if (!identity) {
@@ -253,31 +645,84 @@ class IdentityPool {
     return refreshedCount;
   }
 
+  // Probe half-open identities (cooldown passed, no trial running) with a lightweight /api/models call
+  async probeIdentities() {
+    const due = this.identities.filter((identity) => {
+      identity.refreshBreaker();
+      return identity.breakerState === BREAKER_STATE.HALF_OPEN && identity.canStartTrial() && identity.inFlight === 0;
+    });
+    await Promise.all(due.map(identity => this.probeIdentity(identity)));
+    return due.length;
+  }
+
+  // Run one probe as the identity's half-open trial; an expired token is refreshed instead
+  async probeIdentity(identity) {
+    identity.claimTrial();
+    if (!identity.token || isTokenExpired(identity.token)) {
+      return this.refreshIdentityToken(identity);
+    }
+    try {
+      await fetchModelCatalog(identity);
+      identity.markSuccess();
+      logger.info(`Identity ${identity.id} health probe succeeded`);
+      return true;
+    } catch (error) {
+      identity.markFailure(error);
+      logger.warn(`Identity ${identity.id} health probe failed`, { error: error.message, nextRetryAt: new Date(identity.nextRetryAt).toISOString() });
+      return false;
+    }
+  }
+
+  // Start the periodic background probe (once)
+  startHealthProbes(intervalMs = CIRCUIT_BREAKER_CONFIG.probeInterval) {
+    if (this.probeTimer) return;
+    this.probeTimer = setInterval(() => {
+      this.probeIdentities().catch(error => logger.error('Identity health probe round failed', error));
+    }, intervalMs);
+    logger.info('Identity health probes started', { intervalSeconds: Math.round(intervalMs / 1000) });
+  }
+
   // Get pool status information
   getPoolStatus() {
     const healthy = this.identities.filter(id => id.status === IDENTITY_STATUS.HEALTHY && id.isAvailable()).length;
     const degraded = this.identities.filter(id => id.status === IDENTITY_STATUS.DEGRADED).length;
     const down = this.identities.filter(id => id.status === IDENTITY_STATUS.DOWN).length;
+    const halfOpen = this.identities.filter(id => id.breakerState === BREAKER_STATE.HALF_OPEN).length;
 
     return {
       total: this.identities.length,
       healthy,
       degraded,
       down,
+      halfOpen,
+      retiring: this.retiring.length,
+      inFlight: this.identities.reduce((sum, id) => sum + id.inFlight, 0),
+      queued: this.waiters.length,
+      maxConcurrency: getIdentityMaxConcurrency(),
+      strategy: getIdentityStrategy(),
       initialized: this.initialized
     };
   }
 
   // Get all identity details (for debugging)
   getAllIdentities() {
-    return this.identities.map(id => ({
+    return [...this.identities, ...this.retiring].map(id => ({
       id: id.id,
+      retiring: id.retiring,
       status: id.status,
       failCount: id.failCount,
       hasToken: !!id.token,
       tokenExpired: id.token ? isTokenExpired(id.token) : true,
       lastUsedAt: id.lastUsedAt ? new Date(id.lastUsedAt).toISOString() : null,
-      nextRetryAt: id.nextRetryAt ? new Date(id.nextRetryAt).toISOString() : null
+      nextRetryAt: id.nextRetryAt ? new Date(id.nextRetryAt).toISOString() : null,
+      cooldownUntil: id.cooldownUntil && id.cooldownUntil > Date.now() ? new Date(id.cooldownUntil).toISOString() : null,
+      breaker: id.breakerState,
+      tripCount: id.tripCount,
+      weight: id.weight,
+      inFlight: id.inFlight,
+      latencyMs: id.latencyEwma === null ? null : Math.round(id.latencyEwma),
+      lastLatencyMs: id.lastLatencyMs,
+      latencySamples: id.latencySamples
     }));
   }
 }
@@ -288,6 +733,10 @@ const identityPool = new IdentityPool();
 module.exports = {
   identityPool,
   IDENTITY_STATUS,
+  BREAKER_STATE,
+  CIRCUIT_BREAKER_CONFIG,
+  POOL_SATURATED,
+  SLOT_WAIT_ABORTED,
   Identity
 };
 
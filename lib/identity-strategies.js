@@ -0,0 +1,67 @@
+// Identity Strategies: Pick the identity that serves the next request among the available pool identities
+// Every strategy receives the candidates in pool order plus the pool itself (for the round-robin cursor)
+
+const IDENTITY_STRATEGIES = ['round-robin', 'least-inflight', 'latency', 'weighted'];
+
+// Next candidate at or after the pool cursor, walking the full identity list so that
+// identities dropping in and out of availability do not shift everybody else's turn
+function roundRobin(candidates, pool) {
+  const positions = candidates.map((identity) => pool.identities.indexOf(identity));
+  let pick = positions.findIndex((position) => position >= pool.currentIndex);
+  if (pick < 0) pick = 0;
+  pool.currentIndex = positions[pick] + 1;
+  return candidates[pick];
+}
+
+// Fewest requests in flight; ties are broken round-robin
+function leastInflight(candidates, pool) {
+  const lowest = Math.min(...candidates.map((identity) => identity.inFlight));
+  return roundRobin(candidates.filter((identity) => identity.inFlight === lowest), pool);
+}
+
+// Random pick weighted by 1 / EWMA latency, so a slow account still gets some traffic to refresh its average
+// Identities without samples yet count as average; with no samples at all this is round-robin
+function latencyWeighted(candidates, pool) {
+  const measured = candidates.filter((identity) => identity.latencyEwma !== null);
+  if (measured.length === 0) return roundRobin(candidates, pool);
+  const average = measured.reduce((sum, identity) => sum + identity.latencyEwma, 0) / measured.length;
+  const weights = candidates.map((identity) => 1 / Math.max(1, identity.latencyEwma ?? average));
+  let target = Math.random() * weights.reduce((sum, weight) => sum + weight, 0);
+  for (let i = 0; i < candidates.length; i++) {
+    target -= weights[i];
+    if (target <= 0) return candidates[i];
+  }
+  return candidates[candidates.length - 1];
+}
+
+// Smooth weighted round-robin over the configured per-identity weights (spreads picks instead of bursting)
+function weighted(candidates) {
+  let total = 0;
+  let best = null;
+  for (const identity of candidates) {
+    identity.currentWeight += identity.weight;
+    total += identity.weight;
+    if (!best || identity.currentWeight > best.currentWeight) best = identity;
+  }
+  best.currentWeight -= total;
+  return best;
+}
+
+const STRATEGY_HANDLERS = {
+  'round-robin': roundRobin,
+  'least-inflight': leastInflight,
+  'latency': latencyWeighted,
+  'weighted': weighted
+};
+
+// Select one of the candidates with the named strategy (unknown names use round-robin)
+function selectIdentity(strategy, candidates, pool) {
+  if (candidates.length === 0) return null;
+  const handler = STRATEGY_HANDLERS[strategy] || roundRobin;
+  return handler(candidates, pool);
+}
+
+module.exports = {
+  IDENTITY_STRATEGIES,
+  selectIdentity
+};
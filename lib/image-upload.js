@@ -0,0 +1,188 @@
+// Image Upload: Upload chat images and attachments (data URIs, remote URLs, raw buffers) to Qwen OSS with a content-hash dedupe cache
+const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
+const https = require('https');
+const httpModule = require('http');
+const path = require('path');
+const mime = require('mime-types');
+const { http } = require('./http');
+const { logger } = require('./logger');
+const { uploadFileToQwenOss } = require('../upload');
+
+const IMAGE_UPLOAD_CONFIG = {
+  // Uploaded file URLs are signed, so cached entries expire well before the signature does
+  cacheTtl: 30 * 60 * 1000,
+  maxCacheEntries: 500,
+  downloadTimeout: 30000,
+  // Redirects followed when downloading a remote image (each hop is checked against the blocked networks)
+  maxRedirects: 3,
+  maxImageSize: 20 * 1024 * 1024,
+  // Documents, audio and video (same limit as upload.js)
+  maxFileSize: 100 * 1024 * 1024
+};
+
+// Failure of an image or attachment carried by the request; the request is rejected with 400
+const UPLOAD_FAILED = 'UPLOAD_FAILED';
+
+// key (token hash + content hash) -> { promise, expiresAt }
+const uploadCache = new Map();
+
+// Remote image URLs must not reach the proxy host or its private network (loopback, RFC 1918, link-local incl. cloud metadata, ...)
+// IPv4-mapped IPv6 addresses are matched by the IPv4 rules
+const BLOCKED_NETWORKS = new net.BlockList();
+[['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12],
+  ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]]
+  .forEach(([network, prefix]) => BLOCKED_NETWORKS.addSubnet(network, prefix, 'ipv4'));
+[['::', 128], ['::1', 128], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]
+  .forEach(([network, prefix]) => BLOCKED_NETWORKS.addSubnet(network, prefix, 'ipv6'));
+
+function sha256(input) {
+  return crypto.createHash('sha256').update(input).digest('hex');
+}
+
+function pruneCache() {
+  const now = Date.now();
+  for (const [key, entry] of uploadCache) {
+    if (entry.expiresAt <= now) uploadCache.delete(key);
+  }
+  // Map keeps insertion order, drop the oldest entries first
+  while (uploadCache.size >= IMAGE_UPLOAD_CONFIG.maxCacheEntries) {
+    uploadCache.delete(uploadCache.keys().next().value);
+  }
+}
+
+function uploadFailedError(message, cause) {
+  const error = new Error(`${message}: ${cause?.message || cause}`);
+  error.code = UPLOAD_FAILED;
+  return error;
+}
+
+function isBlockedAddress(address) {
+  const family = net.isIP(address);
+  return family !== 0 && BLOCKED_NETWORKS.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+function blockedAddressError(host, address) {
+  return new Error(`Image URL host ${host} resolves to a private or reserved address (${address})`);
+}
+
+// dns.lookup that refuses blocked addresses; it runs for the connection itself, so a host cannot re-resolve after the check
+function publicOnlyLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (err, address, family) => {
+    if (err) return callback(err);
+    const blocked = (Array.isArray(address) ? address.map(entry => entry.address) : [address]).find(isBlockedAddress);
+    if (blocked) return callback(blockedAddressError(hostname, blocked));
+    callback(null, address, family);
+  });
+}
+
+const downloadAgents = {
+  httpAgent: new httpModule.Agent({ lookup: publicOnlyLookup }),
+  httpsAgent: new https.Agent({ lookup: publicOnlyLookup })
+};
+
+// Download a remote image; redirects are followed here so that every hop is checked
+// Resolves { resp, url } with the URL that finally answered
+async function downloadImage(value) {
+  let url = new URL(value);
+  for (let hop = 0; hop <= IMAGE_UPLOAD_CONFIG.maxRedirects; hop++) {
+    if (!/^https?:$/.test(url.protocol)) throw new Error(`Unsupported image URL protocol ${url.protocol}`);
+    // Literal IP hosts never go through the lookup
+    const host = url.hostname.replace(/^\[|\]$/g, '');
+    if (isBlockedAddress(host)) throw blockedAddressError(host, host);
+    const resp = await http.get(url.href, {
+      ...downloadAgents,
+      responseType: 'arraybuffer',
+      timeout: IMAGE_UPLOAD_CONFIG.downloadTimeout,
+      maxContentLength: IMAGE_UPLOAD_CONFIG.maxImageSize,
+      maxRedirects: 0,
+      validateStatus: (status) => status >= 200 && status < 400
+    });
+    if (resp.status < 300) return { resp, url };
+    if (!resp.headers?.location) throw new Error(`Image URL answered ${resp.status} without a redirect location`);
+    url = new URL(resp.headers.location, url);
+  }
+  throw new Error(`Image URL redirected more than ${IMAGE_UPLOAD_CONFIG.maxRedirects} times`);
+}
+
+// When a signed OSS URL stops working (ms): its Expires (V1) or x-oss-date + x-oss-expires (V4) parameters,
+// otherwise the cache TTL from issuedAt
+function signedUrlExpiry(url, issuedAt) {
+  try {
+    const params = new URL(url).searchParams;
+    const expires = Number(params.get('Expires'));
+    if (expires > 0) return expires * 1000;
+    const date = String(params.get('x-oss-date') || '').match(/^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z$/);
+    const ttl = Number(params.get('x-oss-expires'));
+    if (date && ttl > 0) return Date.UTC(date[1], date[2] - 1, date[3], date[4], date[5], date[6]) + ttl * 1000;
+  } catch (_) {}
+  return issuedAt + IMAGE_UPLOAD_CONFIG.cacheTtl;
+}
+
+// Resolve a data URI or http(s) URL into { buffer, mimeType }
+async function loadImageSource(source) {
+  const value = String(source || '');
+  const dataUri = value.match(/^data:([^;,]+)?((?:;[^;,]*)*?),(.*)$/s);
+  if (dataUri) {
+    const isBase64 = /;base64/i.test(dataUri[2] || '');
+    const buffer = isBase64 ? Buffer.from(dataUri[3], 'base64') : Buffer.from(decodeURIComponent(dataUri[3]), 'utf-8');
+    return { buffer, mimeType: dataUri[1] || 'image/png' };
+  }
+  if (/^https?:\/\//i.test(value)) {
+    const { resp, url } = await downloadImage(value);
+    const headerType = String(resp.headers?.['content-type'] || '').split(';')[0].trim();
+    const mimeType = headerType.startsWith('image/') ? headerType : (mime.lookup(url.pathname) || 'image/png');
+    return { buffer: Buffer.from(resp.data), mimeType };
+  }
+  throw new Error('Unsupported image source, expected a data URI or http(s) URL');
+}
+
+// Upload file bytes with the given token; identical content (and name) for the same token is uploaded once
+// options.filename: name shown upstream (defaults to the content hash), options.maxSize: size limit in bytes
+// Resolves { url, expiresAt, fileId, filename, mimeType, size }, expiresAt is when the signed url stops working (ms)
+function uploadFileBuffer(buffer, mimeType, token, { filename, maxSize = IMAGE_UPLOAD_CONFIG.maxFileSize } = {}) {
+  if (!buffer || buffer.length === 0) return Promise.reject(new Error('File is empty'));
+  if (buffer.length > maxSize) {
+    return Promise.reject(new Error(`File exceeds ${maxSize / 1024 / 1024}MB limit`));
+  }
+  const hash = sha256(buffer);
+  const key = `${sha256(String(token)).slice(0, 16)}:${hash}:${filename || ''}`;
+  const cached = uploadCache.get(key);
+  if (cached && cached.expiresAt > Date.now()) {
+    logger.debug('Upload cache hit', { hash: hash.slice(0, 16) });
+    return cached.promise;
+  }
+
+  pruneCache();
+  // upload.js derives the upstream file type from the extension
+  let name = filename || hash.slice(0, 16);
+  if (!path.extname(name) || !mime.lookup(name)) name = `${name}.${mime.extension(mimeType) || 'bin'}`;
+  // The pending promise is cached too, so concurrent messages carrying the same file share one upload
+  const promise = uploadFileToQwenOss(buffer, name, token).then((result) => {
+    logger.info('File uploaded to Qwen OSS', { filename: name, size: buffer.length });
+    return { url: result.file_url, expiresAt: signedUrlExpiry(result.file_url, Date.now()), fileId: result.file_id, filename: name, mimeType, size: buffer.length };
+  });
+  uploadCache.set(key, { promise, expiresAt: Date.now() + IMAGE_UPLOAD_CONFIG.cacheTtl });
+  promise.catch(() => uploadCache.delete(key));
+  return promise;
+}
+
+function uploadImageBuffer(buffer, mimeType, token) {
+  return uploadFileBuffer(buffer, mimeType, token, { maxSize: IMAGE_UPLOAD_CONFIG.maxImageSize });
+}
+
+// Upload an image referenced by a chat message (data URI or remote URL)
+async function uploadImageSource(source, token) {
+  const { buffer, mimeType } = await loadImageSource(source);
+  return uploadImageBuffer(buffer, mimeType, token);
+}
+
+module.exports = {
+  IMAGE_UPLOAD_CONFIG,
+  UPLOAD_FAILED,
+  uploadFailedError,
+  uploadFileBuffer,
+  uploadImageBuffer,
+  uploadImageSource
+};
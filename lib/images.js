@@ -0,0 +1,62 @@
+// Image API Helpers: Shared logic for /v1/images endpoints (model suffixes, URL extraction, OpenAI response shape)
+const { http } = require('./http');
+const { logger } = require('./logger');
+const { parseModelSuffixes } = require('../chat-helpers');
+
+const IMAGE_RESPONSE_FORMATS = ['url', 'b64_json'];
+// Upper bound for n, each image is a separate upstream chat
+const MAX_IMAGES_PER_REQUEST = 4;
+// Qwen image_edit accepts at most 3 input images per message (mask included)
+const MAX_EDIT_INPUT_IMAGES = 3;
+// Qwen has no native mask input, the mask is attached as an extra image with this instruction
+const MASK_INSTRUCTION = 'The last attached image is a mask: only edit the regions where the mask is transparent and keep everything else unchanged.';
+
+// Replace any mode suffix on the model with the given one (e.g. qwen3-max -> qwen3-max-image)
+function withImageSuffix(model, suffix) {
+  return `${parseModelSuffixes(model || 'qwen3-max').base}-${suffix}`;
+}
+
+// Clamp requested image count to [1, MAX_IMAGES_PER_REQUEST]
+function normalizeImageCount(n) {
+  const count = Number.parseInt(n, 10);
+  if (!Number.isFinite(count) || count < 1) return 1;
+  return Math.min(count, MAX_IMAGES_PER_REQUEST);
+}
+
+// Pull image links out of markdown content (fallback when upstream URLs were not reported separately)
+function extractImageUrls(content) {
+  const urls = [];
+  for (const m of String(content || '').matchAll(/!\[[^\]]*\]\((https?:\/\/[^)\s]+)\)/g)) urls.push(m[1]);
+  return urls;
+}
+
+async function downloadImageAsBase64(url) {
+  const resp = await http.get(url, { responseType: 'arraybuffer', timeout: 60000 });
+  return Buffer.from(resp.data).toString('base64');
+}
+
+// Build OpenAI images response data entries; b64_json downloads each image from the CDN
+async function buildImageData(urls, responseFormat = 'url') {
+  if (responseFormat !== 'b64_json') return urls.map((url) => ({ url }));
+  const data = [];
+  for (const url of urls) {
+    try {
+      data.push({ b64_json: await downloadImageAsBase64(url) });
+    } catch (e) {
+      logger.error('Failed to download generated image', e, { url });
+      throw new Error(`Failed to download generated image: ${e.message}`);
+    }
+  }
+  return data;
+}
+
+module.exports = {
+  IMAGE_RESPONSE_FORMATS,
+  MAX_IMAGES_PER_REQUEST,
+  MAX_EDIT_INPUT_IMAGES,
+  MASK_INSTRUCTION,
+  withImageSuffix,
+  normalizeImageCount,
+  extractImageUrls,
+  buildImageData
+};
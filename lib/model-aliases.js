@@ -0,0 +1,58 @@
+// Model Aliases: Map client model names (exact or glob patterns like gpt-4o*) to Qwen model ids with default request parameters
+const { getModelAliases } = require('./config');
+
+// Glob pattern -> RegExp (* matches any run of characters, ? a single one), case-insensitive
+function globToRegExp(pattern) {
+  const source = pattern.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.');
+  return new RegExp(`^${source}$`, 'i');
+}
+
+function isGlob(pattern) {
+  return /[*?]/.test(pattern);
+}
+
+// Alias entries are either a target model id or { model, params }
+function normalizeTarget(target) {
+  if (typeof target === 'string') return { model: target, params: {} };
+  if (target && typeof target === 'object' && typeof target.model === 'string') return { model: target.model, params: target.params || {} };
+  return null;
+}
+
+// Resolve a requested model name: exact aliases first, then glob patterns in configuration order
+// Returns { alias, model, params } or null when the name is not aliased
+function resolveModelAlias(model) {
+  if (!model) return null;
+  const aliases = getModelAliases();
+  const name = String(model);
+  const exactKey = Object.keys(aliases).find((key) => !isGlob(key) && key.toLowerCase() === name.toLowerCase());
+  const key = exactKey || Object.keys(aliases).find((pattern) => isGlob(pattern) && globToRegExp(pattern).test(name));
+  const target = key ? normalizeTarget(aliases[key]) : null;
+  return target ? { alias: name, model: target.model, params: target.params } : null;
+}
+
+// Qwen model id for a requested name (unchanged when not aliased)
+function resolveModelName(model) {
+  return resolveModelAlias(model)?.model || model;
+}
+
+// Rewrite a chat request for its alias: target model plus default parameters (fields set on the request win)
+// Returns { request, alias } where alias is null when the model is not aliased
+function applyModelAlias(openAIRequest) {
+  const alias = resolveModelAlias(openAIRequest.model);
+  if (!alias) return { request: openAIRequest, alias: null };
+  return { request: { ...alias.params, ...openAIRequest, model: alias.model }, alias };
+}
+
+// Exact aliases as OpenAI model objects for /v1/models (glob patterns cannot be listed)
+function listAliasModels() {
+  return Object.entries(getModelAliases())
+    .filter(([key, target]) => !isGlob(key) && normalizeTarget(target))
+    .map(([key, target]) => ({ id: key, object: 'model', owned_by: 'qwen', alias_for: normalizeTarget(target).model }));
+}
+
+module.exports = {
+  resolveModelAlias,
+  resolveModelName,
+  applyModelAlias,
+  listAliasModels
+};
@@ -0,0 +1,31 @@
+// Model Fallbacks: Per-model fallback chains tried when a model is rate limited, unavailable or timing out
+const { getModelFallbacks } = require('./config');
+const { parseModelSuffixes } = require('../chat-helpers');
+const { UPSTREAM_ERROR_CLASSES } = require('./upstream-errors');
+
+// Failure classes that move a request down its chain; anything else is returned to the client as-is
+const FALLBACK_ERROR_CLASSES = new Set([
+  UPSTREAM_ERROR_CLASSES.RATE_LIMITED,
+  UPSTREAM_ERROR_CLASSES.MODEL_UNAVAILABLE,
+  UPSTREAM_ERROR_CLASSES.TIMEOUT
+]);
+
+// Fallback models for a model id: the chain configured for the exact id, else the one for its upstream id
+// with the request's suffixes carried over (qwen3-max-thinking -> qwen-plus-thinking)
+function getFallbackChain(model) {
+  const chains = getModelFallbacks();
+  if (Array.isArray(chains[model])) return chains[model];
+  const { base, suffixes } = parseModelSuffixes(model);
+  if (!Array.isArray(chains[base])) return [];
+  return chains[base].map((fallback) => [fallback, ...suffixes].join('-'));
+}
+
+function shouldFallback(errorClass) {
+  return FALLBACK_ERROR_CLASSES.has(errorClass);
+}
+
+module.exports = {
+  FALLBACK_ERROR_CLASSES,
+  getFallbackChain,
+  shouldFallback
+};
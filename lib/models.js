@@ -0,0 +1,74 @@
+// Model Catalog: Cache of upstream /api/models metadata (context length, abilities) shared by request handling
+const { http } = require('./http');
+const { logger } = require('./logger');
+const { buildBrowserLikeHeaders } = require('./headers');
+const { parseModelSuffixes } = require('../chat-helpers');
+
+const QWEN_MODELS_URL = 'https://chat.qwen.ai/api/models';
+
+const MODEL_CATALOG_CONFIG = {
+  ttl: 10 * 60 * 1000,
+  // After a failed refresh, wait this long before asking upstream again
+  retryAfterFailure: 60 * 1000
+};
+
+let models = [];
+let fetchedAt = 0;
+let failedAt = 0;
+let pending = null;
+
+// Upstream id for a proxy model id (feature suffixes are not separate upstream models)
+function baseModelId(model) {
+  return parseModelSuffixes(model).base;
+}
+
+// Fetch the raw upstream model list with the identity's credentials and refresh the cache
+async function fetchModelCatalog(identity) {
+  const headers = buildBrowserLikeHeaders(identity.token, { includeCookie: false });
+  if (identity.cookie) headers['Cookie'] = identity.cookie;
+  const rsp = await http.get(QWEN_MODELS_URL, { headers });
+  const list = rsp.data?.data || [];
+  if (list.length > 0) {
+    models = list;
+    fetchedAt = Date.now();
+  }
+  return list;
+}
+
+// Refresh the cache when stale; never throws, request handling falls back to configured values
+async function ensureModelCatalog(identity) {
+  const now = Date.now();
+  if (now - fetchedAt < MODEL_CATALOG_CONFIG.ttl || now - failedAt < MODEL_CATALOG_CONFIG.retryAfterFailure) return models;
+  if (!identity?.token) return models;
+  if (!pending) {
+    pending = fetchModelCatalog(identity)
+      .catch((e) => {
+        failedAt = Date.now();
+        logger.warn('Failed to refresh model catalog', { error: e.message });
+      })
+      .finally(() => { pending = null; });
+  }
+  await pending;
+  return models;
+}
+
+// Cached upstream entry for a model id (suffixes stripped), null when unknown
+function getModelInfo(model) {
+  const id = baseModelId(model);
+  return models.find((entry) => entry?.id === id) || null;
+}
+
+// Context length reported by upstream, null when unknown
+function getModelContextLength(model) {
+  const length = Number(getModelInfo(model)?.info?.meta?.max_context_length);
+  return Number.isFinite(length) && length > 0 ? length : null;
+}
+
+module.exports = {
+  MODEL_CATALOG_CONFIG,
+  baseModelId,
+  fetchModelCatalog,
+  ensureModelCatalog,
+  getModelInfo,
+  getModelContextLength
+};
@@ -0,0 +1,162 @@
+// Response Format Module: Prompt instructions, validation and repair for OpenAI response_format (json_object / json_schema)
+
+// Whether the request asks for structured JSON output
+function isJsonResponseFormat(responseFormat) {
+  return responseFormat?.type === 'json_object' || responseFormat?.type === 'json_schema';
+}
+
+function getSchema(responseFormat) {
+  if (responseFormat?.type !== 'json_schema') return null;
+  return responseFormat.json_schema?.schema || null;
+}
+
+// Build the instruction appended to the system prompt
+function buildResponseFormatPrompt(responseFormat) {
+  const lines = [
+    '# Output format',
+    '',
+    'Reply with a single valid JSON value only. Do not wrap it in markdown code fences and do not add any text before or after it.'
+  ];
+  if (responseFormat.type === 'json_object') {
+    lines.push('The top-level value must be a JSON object.');
+  }
+  const schema = getSchema(responseFormat);
+  if (schema) {
+    const name = responseFormat.json_schema?.name;
+    lines.push(`The JSON must conform to the following JSON Schema${name ? ` ("${name}")` : ''}:`);
+    lines.push(JSON.stringify(schema));
+  }
+  return lines.join('\n');
+}
+
+// Append format instructions to the system prompt (or add one when missing)
+function applyResponseFormat(messages, responseFormat) {
+  if (!isJsonResponseFormat(responseFormat)) return messages;
+  const prompt = buildResponseFormatPrompt(responseFormat);
+  const result = [...messages];
+  const systemIndex = result.findIndex((m) => m.role === 'system');
+  if (systemIndex >= 0) {
+    const system = result[systemIndex];
+    const text = typeof system.content === 'string'
+      ? system.content
+      : (Array.isArray(system.content) ? system.content.filter((p) => p?.type === 'text').map((p) => p.text || '').join('') : '');
+    result[systemIndex] = { ...system, content: `${text}\n\n${prompt}` };
+  } else {
+    result.unshift({ role: 'system', content: prompt });
+  }
+  return result;
+}
+
+// Remove markdown code fences and surrounding prose around a JSON payload
+function stripJsonFences(text) {
+  let str = String(text || '').trim();
+  const fenced = str.match(/```(?:json|JSON)?\s*([\s\S]*?)\s*```/);
+  if (fenced) str = fenced[1].trim();
+  if (!/^[[{]/.test(str)) {
+    const start = str.search(/[[{]/);
+    const end = Math.max(str.lastIndexOf('}'), str.lastIndexOf(']'));
+    if (start >= 0 && end > start) str = str.slice(start, end + 1);
+  }
+  return str;
+}
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  if (type === 'number') return actual === 'number' || actual === 'integer';
+  return actual === type;
+}
+
+// Validate a value against the common JSON Schema subset used by structured outputs; returns error strings
+function validateSchema(value, schema, path = '$', defs = schema?.$defs || schema?.definitions || {}) {
+  const errors = [];
+  if (!schema || typeof schema !== 'object') return errors;
+
+  if (schema.$ref) {
+    const name = String(schema.$ref).split('/').pop();
+    return defs[name] ? validateSchema(value, defs[name], path, defs) : errors;
+  }
+  if (Array.isArray(schema.anyOf) || Array.isArray(schema.oneOf)) {
+    const options = schema.anyOf || schema.oneOf;
+    if (!options.some((opt) => validateSchema(value, opt, path, defs).length === 0)) {
+      errors.push(`${path}: does not match any allowed schema`);
+    }
+    return errors;
+  }
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some((t) => matchesType(value, t))) {
+      errors.push(`${path}: expected ${types.join(' | ')}, got ${typeOf(value)}`);
+      return errors;
+    }
+  }
+  if (Array.isArray(schema.enum) && !schema.enum.some((e) => JSON.stringify(e) === JSON.stringify(value))) {
+    errors.push(`${path}: must be one of ${JSON.stringify(schema.enum)}`);
+  }
+  if (schema.const !== undefined && JSON.stringify(schema.const) !== JSON.stringify(value)) {
+    errors.push(`${path}: must equal ${JSON.stringify(schema.const)}`);
+  }
+
+  if (typeOf(value) === 'object') {
+    const properties = schema.properties || {};
+    for (const key of schema.required || []) {
+      if (!(key in value)) errors.push(`${path}: missing required property "${key}"`);
+    }
+    for (const [key, val] of Object.entries(value)) {
+      if (properties[key]) {
+        errors.push(...validateSchema(val, properties[key], `${path}.${key}`, defs));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${path}: unexpected property "${key}"`);
+      } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+        errors.push(...validateSchema(val, schema.additionalProperties, `${path}.${key}`, defs));
+      }
+    }
+  }
+  if (typeOf(value) === 'array') {
+    if (schema.items) value.forEach((item, i) => errors.push(...validateSchema(item, schema.items, `${path}[${i}]`, defs)));
+    if (schema.minItems !== undefined && value.length < schema.minItems) errors.push(`${path}: expected at least ${schema.minItems} items`);
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) errors.push(`${path}: expected at most ${schema.maxItems} items`);
+  }
+  return errors;
+}
+
+// Check assistant output against response_format; returns { valid, content, errors } with fences stripped from content
+function validateResponseFormat(text, responseFormat) {
+  const cleaned = stripJsonFences(text);
+  let parsed;
+  try {
+    parsed = JSON.parse(cleaned);
+  } catch (e) {
+    return { valid: false, content: cleaned, errors: [`Invalid JSON: ${e.message}`] };
+  }
+  if (responseFormat.type === 'json_object' && typeOf(parsed) !== 'object') {
+    return { valid: false, content: cleaned, errors: ['$: top-level value must be a JSON object'] };
+  }
+  const errors = validateSchema(parsed, getSchema(responseFormat));
+  return { valid: errors.length === 0, content: cleaned, errors };
+}
+
+// Follow-up user message asking the model to fix its previous output
+function buildRepairPrompt(errors) {
+  return [
+    'Your previous reply did not satisfy the required output format:',
+    ...errors.slice(0, 20).map((e) => `- ${e}`),
+    '',
+    'Reply again with only the corrected JSON, without markdown fences or any other text.'
+  ].join('\n');
+}
+
+module.exports = {
+  isJsonResponseFormat,
+  applyResponseFormat,
+  stripJsonFences,
+  validateSchema,
+  validateResponseFormat,
+  buildRepairPrompt
+};
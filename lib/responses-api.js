@@ -0,0 +1,260 @@
+// OpenAI Responses API Adapter: Convert /v1/responses requests to chat format and chat output back to Responses objects/events
+const { Transform } = require('stream');
+const { randomUUID } = require('crypto');
+const { logger } = require('./logger');
+const { createSseParser } = require('./sse-parser');
+
+function generateId(prefix) {
+  return `${prefix}_${randomUUID().replace(/-/g, '')}`;
+}
+
+// Responses content parts -> chat content (string when text only)
+function convertContent(content) {
+  if (typeof content === 'string') return content;
+  if (!Array.isArray(content)) return '';
+  const parts = [];
+  for (const part of content) {
+    if (!part) continue;
+    if (part.type === 'input_text' || part.type === 'output_text' || part.type === 'text') {
+      parts.push({ type: 'text', text: part.text || '' });
+    } else if (part.type === 'input_image') {
+      const url = typeof part.image_url === 'string' ? part.image_url : part.image_url?.url;
+      if (url) parts.push({ type: 'image_url', image_url: { url } });
+    } else if (part.type === 'input_file') {
+      parts.push({ type: 'file', file: { file_data: part.file_data, file_id: part.file_id, filename: part.filename } });
+    }
+  }
+  return parts.every((p) => p.type === 'text') ? parts.map((p) => p.text).join('') : parts;
+}
+
+// Responses input items -> chat messages
+function convertInputItems(items) {
+  const messages = [];
+  for (const item of items) {
+    if (!item) continue;
+    const type = item.type || (item.role ? 'message' : null);
+    if (type === 'message') {
+      const role = item.role === 'developer' ? 'system' : item.role;
+      messages.push({ role, content: convertContent(item.content) });
+    } else if (type === 'function_call') {
+      const call = { id: item.call_id, type: 'function', function: { name: item.name, arguments: item.arguments || '{}' } };
+      const prev = messages[messages.length - 1];
+      // Consecutive calls belong to the same assistant turn
+      if (prev && prev.role === 'assistant' && Array.isArray(prev.tool_calls)) prev.tool_calls.push(call);
+      else messages.push({ role: 'assistant', content: '', tool_calls: [call] });
+    } else if (type === 'function_call_output') {
+      messages.push({ role: 'tool', tool_call_id: item.call_id, content: typeof item.output === 'string' ? item.output : JSON.stringify(item.output) });
+    }
+    // reasoning items from previous turns are not replayed
+  }
+  return messages;
+}
+
+// Responses request body -> OpenAI chat completion request
+function convertResponsesRequestToOpenAI(body) {
+  const messages = [];
+  if (body?.instructions) messages.push({ role: 'system', content: String(body.instructions) });
+  if (typeof body?.input === 'string') messages.push({ role: 'user', content: body.input });
+  else if (Array.isArray(body?.input)) messages.push(...convertInputItems(body.input));
+  if (!messages.some((m) => m.role !== 'system')) throw new Error('Invalid request: input is required');
+
+  const request = { model: body.model || 'qwen3-max', messages, stream: !!body.stream };
+  if (body.reasoning?.effort) request.reasoning_effort = body.reasoning.effort;
+  const tools = (body.tools || []).filter((t) => t?.type === 'function');
+  if (tools.length > 0) {
+    request.tools = tools.map((t) => ({ type: 'function', function: { name: t.name, description: t.description || '', parameters: t.parameters || { type: 'object', properties: {} } } }));
+    const choice = body.tool_choice;
+    request.tool_choice = choice && typeof choice === 'object' && choice.name ? { type: 'function', function: { name: choice.name } } : choice;
+  }
+  const format = body.text?.format;
+  if (format?.type === 'json_schema') {
+    request.response_format = { type: 'json_schema', json_schema: { name: format.name, schema: format.schema, strict: format.strict } };
+  } else if (format?.type === 'json_object') {
+    request.response_format = { type: 'json_object' };
+  }
+  if (body.stream) request.stream_options = { include_usage: true };
+  return request;
+}
+
+function reasoningItem(id, text, status = 'completed') {
+  return { id, type: 'reasoning', status, summary: [], content: [{ type: 'reasoning_text', text }] };
+}
+
+function messageItem(id, text, status = 'completed') {
+  return { id, type: 'message', status, role: 'assistant', content: [{ type: 'output_text', text, annotations: [] }] };
+}
+
+function functionCallItem(id, call, status = 'completed') {
+  return { id, type: 'function_call', status, call_id: call.id, name: call.function?.name, arguments: call.function?.arguments || '{}' };
+}
+
+function buildResponseObject({ id, createdAt, model, status, output, usage }) {
+  const outputText = output
+    .filter((item) => item.type === 'message')
+    .map((item) => item.content.map((c) => c.text).join(''))
+    .join('');
+  return {
+    id,
+    object: 'response',
+    created_at: createdAt,
+    status,
+    model,
+    output,
+    output_text: outputText,
+    usage: usage
+      ? { input_tokens: usage.prompt_tokens || 0, output_tokens: usage.completion_tokens || 0, total_tokens: usage.total_tokens || 0 }
+      : null
+  };
+}
+
+// OpenAI chat.completion -> Responses object
+function convertOpenAICompletionToResponse(completion) {
+  const message = completion?.choices?.[0]?.message || {};
+  const output = [];
+  if (message.reasoning_content) output.push(reasoningItem(generateId('rs'), message.reasoning_content));
+  if (message.content) output.push(messageItem(generateId('msg'), message.content));
+  for (const call of message.tool_calls || []) output.push(functionCallItem(generateId('fc'), call));
+  return buildResponseObject({
+    id: generateId('resp'),
+    createdAt: completion?.created || Math.floor(Date.now() / 1000),
+    model: completion?.model,
+    status: 'completed',
+    output,
+    usage: completion?.usage
+  });
+}
+
+function buildResponsesError(status, message) {
+  const type = status === 401 ? 'authentication_error' : status === 400 ? 'invalid_request_error' : 'api_error';
+  return { error: { message, type, param: null, code: null } };
+}
+
+// Streaming: OpenAI SSE chunks -> typed Responses events (response.created ... response.completed)
+function createOpenAIToResponsesStreamTransformer({ model } = {}) {
+  const responseId = generateId('resp');
+  const createdAt = Math.floor(Date.now() / 1000);
+  const output = [];
+  let sequence = 0;
+  let current = null; // { kind, item, text }
+  let usage = null;
+  let started = false;
+  let finished = false;
+
+  const emit = (stream, type, payload) => {
+    stream.push(`event: ${type}\ndata: ${JSON.stringify({ type, sequence_number: sequence++, ...payload })}\n\n`);
+  };
+
+  const snapshot = (status) => buildResponseObject({ id: responseId, createdAt, model, status, output, usage });
+
+  const start = (stream) => {
+    if (started) return;
+    started = true;
+    emit(stream, 'response.created', { response: snapshot('in_progress') });
+    emit(stream, 'response.in_progress', { response: snapshot('in_progress') });
+  };
+
+  const closeItem = (stream) => {
+    if (!current) return;
+    const outputIndex = output.length;
+    const { kind, item, text } = current;
+    if (kind === 'reasoning') {
+      emit(stream, 'response.reasoning_text.done', { item_id: item.id, output_index: outputIndex, content_index: 0, text });
+      const done = reasoningItem(item.id, text);
+      output.push(done);
+      emit(stream, 'response.output_item.done', { output_index: outputIndex, item: done });
+    } else {
+      const done = messageItem(item.id, text);
+      emit(stream, 'response.output_text.done', { item_id: item.id, output_index: outputIndex, content_index: 0, text });
+      emit(stream, 'response.content_part.done', { item_id: item.id, output_index: outputIndex, content_index: 0, part: done.content[0] });
+      output.push(done);
+      emit(stream, 'response.output_item.done', { output_index: outputIndex, item: done });
+    }
+    current = null;
+  };
+
+  const openItem = (stream, kind) => {
+    closeItem(stream);
+    const outputIndex = output.length;
+    const item = kind === 'reasoning' ? reasoningItem(generateId('rs'), '', 'in_progress') : messageItem(generateId('msg'), '', 'in_progress');
+    if (kind === 'message') item.content = [];
+    current = { kind, item, text: '' };
+    emit(stream, 'response.output_item.added', { output_index: outputIndex, item });
+    if (kind === 'message') {
+      emit(stream, 'response.content_part.added', { item_id: item.id, output_index: outputIndex, content_index: 0, part: { type: 'output_text', text: '', annotations: [] } });
+    }
+  };
+
+  const appendText = (stream, kind, delta) => {
+    if (!current || current.kind !== kind) openItem(stream, kind);
+    current.text += delta;
+    const type = kind === 'reasoning' ? 'response.reasoning_text.delta' : 'response.output_text.delta';
+    emit(stream, type, { item_id: current.item.id, output_index: output.length, content_index: 0, delta });
+  };
+
+  const addFunctionCall = (stream, call) => {
+    closeItem(stream);
+    const outputIndex = output.length;
+    const id = generateId('fc');
+    const args = call.function?.arguments || '{}';
+    emit(stream, 'response.output_item.added', { output_index: outputIndex, item: { ...functionCallItem(id, call, 'in_progress'), arguments: '' } });
+    emit(stream, 'response.function_call_arguments.delta', { item_id: id, output_index: outputIndex, delta: args });
+    emit(stream, 'response.function_call_arguments.done', { item_id: id, output_index: outputIndex, arguments: args });
+    const done = functionCallItem(id, call);
+    output.push(done);
+    emit(stream, 'response.output_item.done', { output_index: outputIndex, item: done });
+  };
+
+  const finish = (stream) => {
+    if (finished) return;
+    start(stream);
+    finished = true;
+    closeItem(stream);
+    emit(stream, 'response.completed', { response: snapshot('completed') });
+  };
+
+  const handleChunk = (stream, data) => {
+    if (finished) return;
+    if (data === '[DONE]') { finish(stream); return; }
+    let chunk;
+    try { chunk = JSON.parse(data); } catch (_) { return; }
+    start(stream);
+    if (chunk.usage) usage = chunk.usage;
+    const delta = chunk.choices?.[0]?.delta;
+    if (!delta) return;
+    if (delta.reasoning_content) appendText(stream, 'reasoning', delta.reasoning_content);
+    if (delta.content) appendText(stream, 'message', delta.content);
+    for (const call of delta.tool_calls || []) addFunctionCall(stream, call);
+  };
+
+  const transformer = new Transform({
+    transform(chunk, _enc, callback) {
+      try { parser.push(chunk); } catch (e) { logger.error('Responses stream conversion failed', e); }
+      callback();
+    },
+    flush(callback) {
+      try { parser.end(); } catch (e) { logger.error('Responses stream conversion failed', e); }
+      finish(this);
+      callback();
+    }
+  });
+  const parser = createSseParser((event) => handleChunk(transformer, event.data.trim()));
+  return transformer;
+}
+
+// Output adapter consumed by proxyChatCompletion in main.js
+const responsesAdapter = {
+  name: 'responses',
+  doneChunk: '',
+  createStreamTransformer: (ctx) => createOpenAIToResponsesStreamTransformer(ctx),
+  formatCompletion: convertOpenAICompletionToResponse,
+  formatError: (status, message) => buildResponsesError(status, message),
+  formatStreamError: (message) => `event: error\ndata: ${JSON.stringify({ type: 'error', code: null, message, param: null })}\n\n`
+};
+
+module.exports = {
+  convertResponsesRequestToOpenAI,
+  convertOpenAICompletionToResponse,
+  createOpenAIToResponsesStreamTransformer,
+  buildResponsesError,
+  responsesAdapter
+};
@@ -0,0 +1,98 @@
+// Conversation Sessions: Reuse a Qwen chat (identity, chat_id, parent id chain) when a request continues an earlier one
+// A request continues a session when everything up to its last assistant message hashes to the history stored after
+// the previous turn. Sessions are found by explicit conversation_id / user key, or by that history hash alone.
+const crypto = require('crypto');
+const { logger } = require('./logger');
+
+const SESSION_CONFIG = {
+  // Idle sessions are dropped after this long (upstream chats may be cleaned up by the deletion scheduler anyway)
+  ttl: 60 * 60 * 1000,
+  maxSessions: 1000
+};
+
+// key -> { key, owner, chatId, parentId, model, historyHash, turns, updatedAt }
+const sessions = new Map();
+
+function contentToText(content) {
+  if (typeof content === 'string') return content.trim();
+  if (!Array.isArray(content)) return '';
+  return content.map((part) => {
+    if (part?.type === 'text') return part.text || '';
+    if (part?.type === 'image_url') return `[image:${part.image_url?.url || ''}]`;
+    if (part?.type === 'file') return `[file:${part.file?.file_id || crypto.createHash('sha256').update(String(part.file?.file_data || '')).digest('hex')}]`;
+    return `[${part?.type || 'unknown'}]`;
+  }).join('').trim();
+}
+
+// Tool call ids are generated per response, so only names and arguments take part in the hash
+function normalizeMessage(message) {
+  const toolCalls = (message.tool_calls || []).map((call) => [call.function?.name || '', call.function?.arguments || '']);
+  return [message.role, contentToText(message.content), toolCalls];
+}
+
+function hashMessages(messages) {
+  return crypto.createHash('sha256').update(JSON.stringify(messages.map(normalizeMessage))).digest('hex');
+}
+
+// Explicit session key from the request (conversation_id, or user when allowed)
+function explicitKeyOf(openAIRequest, { useUserField }) {
+  if (openAIRequest.conversation_id) return `c:${openAIRequest.conversation_id}`;
+  if (useUserField && openAIRequest.user) return `u:${openAIRequest.user}`;
+  return null;
+}
+
+function pruneSessions() {
+  const cutoff = Date.now() - SESSION_CONFIG.ttl;
+  for (const [key, session] of sessions) if (session.updatedAt < cutoff) sessions.delete(key);
+  while (sessions.size >= SESSION_CONFIG.maxSessions) sessions.delete(sessions.keys().next().value);
+}
+
+// Find the session this request continues
+// Returns { session, prefixLength } where messages[prefixLength..] are the new turn, or null
+function findSession(openAIRequest, { hashMatching = false, useUserField = false } = {}) {
+  const messages = openAIRequest.messages || [];
+  let lastAssistant = -1;
+  for (let i = messages.length - 1; i >= 0; i--) {
+    if (messages[i]?.role === 'assistant') { lastAssistant = i; break; }
+  }
+  if (lastAssistant < 0 || lastAssistant === messages.length - 1) return null;
+
+  const historyHash = hashMessages(messages.slice(0, lastAssistant + 1));
+  const explicitKey = explicitKeyOf(openAIRequest, { useUserField });
+  const key = explicitKey || (hashMatching ? `h:${historyHash}` : null);
+  if (!key) return null;
+  const session = sessions.get(key);
+  if (!session) return null;
+  if (Date.now() - session.updatedAt > SESSION_CONFIG.ttl) { sessions.delete(key); return null; }
+  if (session.historyHash !== historyHash) {
+    logger.info('Conversation history diverged from session, starting a new chat', { key });
+    return null;
+  }
+  return { session, prefixLength: lastAssistant + 1 };
+}
+
+// Record the turn that just completed; assistantMessage is the OpenAI message returned to the client
+function saveSession({ openAIRequest, assistantMessage, owner, chatId, responseId, model, previous, useUserField = false }) {
+  if (!chatId || !responseId) return null;
+  const historyHash = hashMessages([...(openAIRequest.messages || []), assistantMessage]);
+  const key = explicitKeyOf(openAIRequest, { useUserField }) || `h:${historyHash}`;
+  // Hash-keyed sessions move to a new key every turn
+  if (previous && previous.key !== key) sessions.delete(previous.key);
+  pruneSessions();
+  const session = { key, owner, chatId, parentId: responseId, model, historyHash, turns: (previous?.turns || 0) + 1, updatedAt: Date.now() };
+  sessions.set(key, session);
+  return session;
+}
+
+// Drop a session, unless a newer turn has replaced it under the same key in the meantime
+function deleteSession(session) {
+  if (session && sessions.get(session.key) === session) sessions.delete(session.key);
+}
+
+module.exports = {
+  SESSION_CONFIG,
+  hashMessages,
+  findSession,
+  saveSession,
+  deleteSession
+};
@@ -0,0 +1,99 @@
+// SSE Parser: Incremental Server-Sent Events parser for upstream streams (WHATWG event stream format)
+// - Decodes UTF-8 across chunk boundaries, so code points split between chunks are preserved
+// - Accepts LF, CRLF and CR line endings, including CRLF split across chunks
+// - Joins multi-line data fields with "\n", supports event/id/retry fields and ":" comment lines
+const { StringDecoder } = require('string_decoder');
+
+// Create a parser; onEvent receives { event, data, id, retry } for every dispatched event
+// options.dispatchOnEnd: dispatch a pending event that lacks the final blank line when end() is called
+// options.bareJsonLines: treat lines starting with "{" or "[" as data (plain JSON bodies such as upstream error replies)
+function createSseParser(onEvent, options = {}) {
+  const { dispatchOnEnd = true, bareJsonLines = true } = options;
+  const decoder = new StringDecoder('utf8');
+  let buffer = '';
+  let pendingCR = false;
+  let dataLines = [];
+  let eventType = '';
+  let lastEventId = '';
+  let retry = null;
+  let hasFields = false;
+
+  function dispatch() {
+    if (dataLines.length === 0) {
+      eventType = '';
+      hasFields = false;
+      return;
+    }
+    const event = { event: eventType || 'message', data: dataLines.join('\n'), id: lastEventId, retry };
+    dataLines = [];
+    eventType = '';
+    hasFields = false;
+    onEvent(event);
+  }
+
+  function processLine(line) {
+    if (line === '') { dispatch(); return; }
+    if (line.startsWith(':')) return; // comment / keepalive
+
+    if (bareJsonLines && (line[0] === '{' || line[0] === '[')) {
+      dataLines.push(line);
+      hasFields = true;
+      return;
+    }
+
+    const colon = line.indexOf(':');
+    let field = line;
+    let value = '';
+    if (colon >= 0) {
+      field = line.slice(0, colon);
+      value = line.slice(colon + 1);
+      if (value.startsWith(' ')) value = value.slice(1);
+    }
+
+    switch (field) {
+      case 'data': dataLines.push(value); hasFields = true; break;
+      case 'event': eventType = value; hasFields = true; break;
+      case 'id': if (!value.includes('\0')) lastEventId = value; break;
+      case 'retry': if (/^\d+$/.test(value)) retry = Number(value); break;
+      default: break; // unknown fields are ignored per spec
+    }
+  }
+
+  function processText(text) {
+    let start = 0;
+    let i = 0;
+    if (pendingCR && text[0] === '\n') { start = 1; i = 1; }
+    pendingCR = false;
+    for (; i < text.length; i++) {
+      const ch = text[i];
+      if (ch !== '\n' && ch !== '\r') continue;
+      processLine(buffer + text.slice(start, i));
+      buffer = '';
+      if (ch === '\r') {
+        if (i + 1 < text.length) {
+          if (text[i + 1] === '\n') i++;
+        } else {
+          pendingCR = true; // "\r\n" may be split across chunks
+        }
+      }
+      start = i + 1;
+    }
+    buffer += text.slice(start);
+  }
+
+  return {
+    // Feed a Buffer or string chunk
+    push(chunk) {
+      processText(typeof chunk === 'string' ? chunk : decoder.write(chunk));
+    },
+    // Flush decoder and the last unterminated line
+    end() {
+      const rest = decoder.end();
+      if (rest) processText(rest);
+      if (buffer) { processLine(buffer); buffer = ''; }
+      if (dispatchOnEnd && hasFields) dispatch();
+    }
+  };
+}
+
+module.exports = { createSseParser };
@@ -8,12 +8,13 @@ function setSseHeaders(res, requestId) {
   if (typeof res.flushHeaders === 'function') res.flushHeaders();
 }
 
-function createKeepAlive(res) {
+// options.doneChunk: terminal chunk written before ending (OpenAI "[DONE]" by default, empty to skip)
+function createKeepAlive(res, { doneChunk = 'data: [DONE]\n\n' } = {}) {
   let respondedDone = false;
   const safeWriteDone = () => {
     if (respondedDone) return;
     respondedDone = true;
-    try { if (!res.writableEnded) res.write('data: [DONE]\n\n'); } catch (_) {}
+    try { if (doneChunk && !res.writableEnded) res.write(doneChunk); } catch (_) {}
     try { if (!res.writableEnded) res.end(); } catch (_) {}
   };
   const keepalive = setInterval(() => {
@@ -0,0 +1,214 @@
+// Tool Call Emulation Module: Describe OpenAI tools to the model as a prompt and parse its output back into tool_calls
+const { randomUUID } = require('crypto');
+
+const TOOL_CALL_START = '<tool_call>';
+const TOOL_CALL_END = '</tool_call>';
+
+// Whether the request asks for tool calling (tools present and not disabled by tool_choice)
+function isToolCallingRequested(openAIRequest) {
+  const tools = openAIRequest?.tools;
+  return Array.isArray(tools) && tools.length > 0 && openAIRequest.tool_choice !== 'none';
+}
+
+function generateToolCallId() {
+  return `call_${randomUUID().replace(/-/g, '').slice(0, 24)}`;
+}
+
+// Build the instruction block that teaches the model the available tools and the call format
+function buildToolPrompt(tools, toolChoice) {
+  const definitions = tools
+    .filter((t) => t && (t.type === 'function' || t.function))
+    .map((t) => {
+      const fn = t.function || t;
+      return JSON.stringify({ name: fn.name, description: fn.description || '', parameters: fn.parameters || { type: 'object', properties: {} } });
+    });
+
+  const lines = [
+    '# Tools',
+    '',
+    'You may call one or more functions to assist with the user query.',
+    'Function signatures are provided as JSON objects inside <tools></tools>:',
+    '<tools>',
+    ...definitions,
+    '</tools>',
+    '',
+    'To call a function, reply with a JSON object containing the function name and arguments inside <tool_call></tool_call> tags, one block per call:',
+    TOOL_CALL_START,
+    '{"name": "<function-name>", "arguments": {<json-arguments>}}',
+    TOOL_CALL_END,
+    '',
+    'Function results will be returned to you inside <tool_response></tool_response> tags. Do not invent results yourself.'
+  ];
+
+  if (toolChoice === 'required') {
+    lines.push('You must call at least one function in your reply.');
+  } else if (toolChoice && typeof toolChoice === 'object' && toolChoice.function?.name) {
+    lines.push(`You must call the function "${toolChoice.function.name}" in your reply.`);
+  } else {
+    lines.push('If no function is needed, answer the user directly without any <tool_call> block.');
+  }
+  return lines.join('\n');
+}
+
+function contentToText(content) {
+  if (typeof content === 'string') return content;
+  if (Array.isArray(content)) return content.filter((p) => p?.type === 'text').map((p) => p.text || '').join('');
+  return content ? String(content) : '';
+}
+
+// Render an assistant turn that made tool calls back into the text format the model produced
+function renderAssistantToolCalls(message) {
+  const blocks = (message.tool_calls || []).map((tc) => {
+    let args = tc.function?.arguments ?? '{}';
+    try { args = typeof args === 'string' ? JSON.parse(args || '{}') : args; } catch (_) { /* keep raw string */ }
+    return `${TOOL_CALL_START}\n${JSON.stringify({ name: tc.function?.name, arguments: args })}\n${TOOL_CALL_END}`;
+  });
+  const text = contentToText(message.content);
+  return [text, ...blocks].filter(Boolean).join('\n');
+}
+
+// Convert OpenAI tool messages into plain user/assistant/system turns Qwen web chat understands.
+// Tool definitions are appended to the system prompt; consecutive tool results are merged into one user turn.
+function applyToolEmulation(messages, tools, toolChoice) {
+  const toolNames = new Map();
+  const result = [];
+
+  for (const msg of messages || []) {
+    if (!msg) continue;
+    if (msg.role === 'assistant' && Array.isArray(msg.tool_calls) && msg.tool_calls.length > 0) {
+      for (const tc of msg.tool_calls) if (tc?.id) toolNames.set(tc.id, tc.function?.name);
+      result.push({ role: 'assistant', content: renderAssistantToolCalls(msg) });
+      continue;
+    }
+    if (msg.role === 'tool' || msg.role === 'function') {
+      const name = msg.name || toolNames.get(msg.tool_call_id) || 'unknown';
+      const idAttr = msg.tool_call_id ? ` tool_call_id="${msg.tool_call_id}"` : '';
+      const block = `<tool_response name="${name}"${idAttr}>\n${contentToText(msg.content)}\n</tool_response>`;
+      const prev = result[result.length - 1];
+      if (prev && prev._toolResults) {
+        prev.content += `\n${block}`;
+      } else {
+        result.push({ role: 'user', content: block, _toolResults: true });
+      }
+      continue;
+    }
+    result.push(msg);
+  }
+
+  const converted = result.map((m) => {
+    if (!m._toolResults) return m;
+    const { _toolResults, ...rest } = m;
+    return rest;
+  });
+
+  if (!Array.isArray(tools) || tools.length === 0 || toolChoice === 'none') return converted;
+
+  const toolPrompt = buildToolPrompt(tools, toolChoice);
+  const systemIndex = converted.findIndex((m) => m.role === 'system');
+  if (systemIndex >= 0) {
+    const system = converted[systemIndex];
+    converted[systemIndex] = { ...system, content: `${contentToText(system.content)}\n\n${toolPrompt}` };
+  } else {
+    converted.unshift({ role: 'system', content: toolPrompt });
+  }
+  return converted;
+}
+
+// Parse one <tool_call> body into an OpenAI tool call, null if it is not valid JSON
+function parseToolCallBody(body) {
+  const cleaned = String(body || '').trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '').trim();
+  if (!cleaned) return null;
+  try {
+    const parsed = JSON.parse(cleaned);
+    const name = parsed?.name || parsed?.function?.name;
+    if (!name) return null;
+    let args = parsed.arguments ?? parsed.parameters ?? parsed.function?.arguments ?? {};
+    if (typeof args !== 'string') args = JSON.stringify(args);
+    return { id: generateToolCallId(), type: 'function', function: { name, arguments: args } };
+  } catch (_) {
+    return null;
+  }
+}
+
+// Length of the longest suffix of text that is a prefix of the start tag (may be the beginning of a split tag)
+function partialTagLength(text) {
+  const max = Math.min(text.length, TOOL_CALL_START.length - 1);
+  for (let len = max; len > 0; len--) {
+    if (TOOL_CALL_START.startsWith(text.slice(-len))) return len;
+  }
+  return 0;
+}
+
+// Incremental parser for streamed answer text: separates plain content from completed tool calls
+function createToolCallStreamParser() {
+  let buffer = '';
+  let inCall = false;
+  let count = 0;
+
+  const withIndex = (call) => ({ index: count++, ...call });
+
+  function drain(final) {
+    let content = '';
+    const toolCalls = [];
+    for (;;) {
+      if (!inCall) {
+        const start = buffer.indexOf(TOOL_CALL_START);
+        if (start >= 0) {
+          content += buffer.slice(0, start);
+          buffer = buffer.slice(start + TOOL_CALL_START.length);
+          inCall = true;
+          continue;
+        }
+        const keep = final ? 0 : partialTagLength(buffer);
+        content += buffer.slice(0, buffer.length - keep);
+        buffer = buffer.slice(buffer.length - keep);
+        break;
+      }
+      const end = buffer.indexOf(TOOL_CALL_END);
+      if (end >= 0) {
+        const body = buffer.slice(0, end);
+        buffer = buffer.slice(end + TOOL_CALL_END.length);
+        inCall = false;
+        const call = parseToolCallBody(body);
+        if (call) toolCalls.push(withIndex(call));
+        else content += `${TOOL_CALL_START}${body}${TOOL_CALL_END}`;
+        continue;
+      }
+      if (final) {
+        // Unterminated block at end of output: accept it if the body is complete JSON
+        const call = parseToolCallBody(buffer);
+        if (call) toolCalls.push(withIndex(call));
+        else content += `${TOOL_CALL_START}${buffer}`;
+        buffer = '';
+        inCall = false;
+      }
+      break;
+    }
+    return { content, toolCalls };
+  }
+
+  return {
+    push(text) { buffer += text || ''; return drain(false); },
+    flush() { return drain(true); },
+    get toolCallCount() { return count; }
+  };
+}
+
+// Parse complete (non-streamed) answer text; content is null when the reply only contains tool calls
+function parseToolCalls(text) {
+  const parser = createToolCallStreamParser();
+  const first = parser.push(text);
+  const rest = parser.flush();
+  const toolCalls = [...first.toolCalls, ...rest.toolCalls];
+  if (toolCalls.length === 0) return { content: text, toolCalls };
+  const content = (first.content + rest.content).trim();
+  return { content: content || null, toolCalls };
+}
+
+module.exports = {
+  isToolCallingRequested,
+  buildToolPrompt,
+  applyToolEmulation,
+  createToolCallStreamParser,
+  parseToolCalls
+};
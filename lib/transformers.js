@@ -2,108 +2,189 @@
 const { Transform } = require('stream');
 const { randomUUID } = require('crypto');
 const { logger } = require('./logger');
+const { buildUsage } = require('./usage');
+const { createToolCallStreamParser } = require('./tool-calls');
+const { createSseParser } = require('./sse-parser');
+
+// Qwen phases that carry model reasoning rather than answer text
+const THINKING_PHASES = new Set(['think', 'thinking', 'reasoning']);
+function isThinkingPhase(phase) { return THINKING_PHASES.has(phase); }
+
+// Model id reported when the caller does not provide the resolved model
+const DEFAULT_RESPONSE_MODEL = 'qwen-proxy';
+
+function mergeParsed(a, b) {
+  return { content: a.content + b.content, toolCalls: [...a.toolCalls, ...b.toolCalls] };
+}
 
 // Streaming: qwen -> openai sse
-function createQwenToOpenAIStreamTransformer() {
+// options.model: model id echoed in chunks; options.includeUsage: emit a final usage chunk (stream_options.include_usage);
+// options.promptTokens: local prompt estimate; options.tools: parse emulated <tool_call> blocks into delta.tool_calls
+// options.onComplete({ content, responseId }): called once when the upstream answer ended without error
+// options.onError(body): called once with the body of an upstream error event (the stream then ends with an error chunk)
+function createQwenToOpenAIStreamTransformer(options = {}) {
+  const { model = DEFAULT_RESPONSE_MODEL, includeUsage = false, promptTokens = 0, tools = false, onComplete = null, onError = null } = options;
   const messageId = randomUUID();
   const sentImageUrls = new Set();
-  let buffer = '';
-  const MAX_BUFFER_SIZE = 100000; // 100KB
+  let completionText = '';
+  let answerText = '';
+  let responseId = null;
+  let failed = false;
+  let upstreamUsage = null;
+  let usageSent = false;
+  const toolParser = tools ? createToolCallStreamParser() : null;
+  let finishSent = false;
 
-  return new Transform({
-    readableObjectMode: false,
-    writableObjectMode: false,
-    transform(chunk, _enc, callback) {
-      try {
-        const raw = chunk.toString('utf-8');
-        buffer += raw;
-        if (buffer.length > MAX_BUFFER_SIZE) {
-          logger.error(`Buffer overflow detected (size: ${buffer.length}), clearing buffer`);
-          buffer = '';
-          return callback();
-        }
-        if (buffer.includes('[DONE]')) {
-          this.push(`data: [DONE]\n\n`);
-          buffer = '';
-          return callback();
-        }
-        let lines = [];
-        if (buffer.includes('\n\n')) {
-          lines = buffer.split('\n\n');
-          buffer = lines.pop() || '';
-        } else if (buffer.includes('\n')) {
-          lines = buffer.split('\n');
-          const lastLine = lines[lines.length - 1];
-          if (lastLine && !lastLine.startsWith('data:')) {
-            buffer = lines.pop() || '';
-          } else {
-            buffer = '';
-          }
-        }
-        for (const line of lines) {
-          if (!line || line.trim() === '') continue;
-          let dataStr = line.startsWith('data:') ? line.replace(/^data:\s?/, '').trim() : line.trim();
-          if (!dataStr) continue;
-          if (dataStr === '[DONE]') { this.push(`data: [DONE]\n\n`); continue; }
+  const pushChunk = (stream, delta, finishReason = null) => {
+    const openAIChunk = { id: `chatcmpl-${messageId}`, object: 'chat.completion.chunk', created: Math.floor(Date.now()/1000), model, choices: [{ index: 0, delta, finish_reason: finishReason }] };
+    if (includeUsage) openAIChunk.usage = null;
+    stream.push(`data: ${JSON.stringify(openAIChunk)}\n\n`);
+  };
 
-          let content = '';
-          let isFinished = false;
-          try {
-            const q = JSON.parse(dataStr);
-            if (q.success === false) {
-              const errorMessage = q.data?.details || q.data?.code || 'Unknown Qwen API error';
-              const openAIError = { id: `chatcmpl-${messageId}`, object: 'chat.completion.chunk', created: Math.floor(Date.now()/1000), model: 'qwen-proxy', choices: [{ index: 0, delta: { content: `Error: ${errorMessage}` }, finish_reason: 'stop' }] };
-              this.push(`data: ${JSON.stringify(openAIError)}\n\n`);
-              this.push(`data: [DONE]\n\n`);
-              continue;
-            }
-            if (q.choices && q.choices.length > 0) {
-              const choice = q.choices[0];
-              const delta = choice.delta || choice.message;
-              if (delta) {
-                content = delta.content || '';
-                if (delta.phase === 'image_gen') {
-                  if (content && content.startsWith('https://')) {
-                    if (!sentImageUrls.has(content)) { sentImageUrls.add(content); content = `![Image](${content})`; } else { content = ''; }
-                  }
-                } else if ((delta.chat_type === 't2i' || delta.chat_type === 'image_edit') && typeof content === 'string' && content.startsWith('https://')) {
-                  if (!sentImageUrls.has(content)) { sentImageUrls.add(content); content = `![Image](${content})`; } else { content = ''; }
-                }
-                if (delta.status === 'finished') {
-                  isFinished = true;
-                }
-                isFinished = isFinished || choice.finish_reason === 'stop';
-              }
-            } else if (q.content) {
-              content = q.content;
-              if (typeof content === 'string' && content.startsWith('https://') && content.includes('cdn.qwenlm.ai')) {
-                if (!sentImageUrls.has(content)) { sentImageUrls.add(content); content = `![Image](${content})`; } else { content = ''; }
-              }
-              isFinished = q.status === 'finished' || q.finish_reason === 'stop';
-            } else if (q.result || q.data) {
-              const data = q.result || q.data;
-              if (typeof data === 'string') content = data; else if (data.content) content = data.content;
+  // Emit answer text, routing it through the tool call parser when tools are enabled
+  const pushAnswer = (stream, text, final) => {
+    if (!toolParser) {
+      if (text) pushChunk(stream, { content: text });
+      return;
+    }
+    const parsed = final ? mergeParsed(toolParser.push(text), toolParser.flush()) : toolParser.push(text);
+    if (parsed.content) pushChunk(stream, { content: parsed.content });
+    for (const call of parsed.toolCalls) pushChunk(stream, { tool_calls: [call] });
+  };
+
+  const pushFinish = (stream) => {
+    if (finishSent) return;
+    finishSent = true;
+    pushChunk(stream, {}, toolParser && toolParser.toolCallCount > 0 ? 'tool_calls' : 'stop');
+  };
+
+  const pushUsageChunk = (stream) => {
+    if (!includeUsage || usageSent) return;
+    usageSent = true;
+    const usage = buildUsage({ upstreamUsage, promptTokens, completionText });
+    const usageChunk = { id: `chatcmpl-${messageId}`, object: 'chat.completion.chunk', created: Math.floor(Date.now()/1000), model, choices: [], usage };
+    stream.push(`data: ${JSON.stringify(usageChunk)}\n\n`);
+  };
+
+  // Emit tool calls still buffered in the parser and the finish chunk, unless the answer already finished
+  const pushPendingFinish = (stream, force) => {
+    if (finishSent) return;
+    if (toolParser) pushAnswer(stream, '', true);
+    if (force || (toolParser && toolParser.toolCallCount > 0)) pushFinish(stream);
+  };
+
+  // Upstream [DONE] ends the answer: finish chunk, usage chunk, then [DONE]; nothing is emitted after it
+  let doneSent = false;
+  const pushDone = (stream) => {
+    if (doneSent) return;
+    doneSent = true;
+    pushPendingFinish(stream, true);
+    pushUsageChunk(stream);
+    stream.push(`data: [DONE]\n\n`);
+  };
+
+  // Handle one upstream SSE event payload
+  const handlePayload = (stream, payload) => {
+    if (doneSent) return;
+    const dataStr = payload.trim();
+    if (!dataStr) return;
+    if (dataStr === '[DONE]') { pushDone(stream); return; }
+
+    let content = '';
+    let reasoningContent = '';
+    let isFinished = false;
+    try {
+      const q = JSON.parse(dataStr);
+      if (q.usage) upstreamUsage = q.usage;
+      // First event carries the id of the assistant message (parent of the next turn)
+      if (q['response.created']?.response_id) responseId = q['response.created'].response_id;
+      if (q.success === false) {
+        const errorMessage = q.data?.details || q.data?.code || 'Unknown Qwen API error';
+        failed = true;
+        finishSent = true;
+        pushChunk(stream, { content: `Error: ${errorMessage}` }, 'stop');
+        pushDone(stream);
+        if (onError) {
+          try { onError(q); } catch (e) { logger.error('Stream error callback failed', e); }
+        }
+        return;
+      }
+      if (q.choices && q.choices.length > 0) {
+        const choice = q.choices[0];
+        const delta = choice.delta || choice.message;
+        if (delta) {
+          content = delta.content || '';
+          if (isThinkingPhase(delta.phase)) {
+            // Thinking-phase output goes to reasoning_content; its "finished" status only closes the phase
+            reasoningContent = content;
+            content = '';
+          } else if (delta.phase === 'image_gen') {
+            if (content && content.startsWith('https://')) {
+              if (!sentImageUrls.has(content)) { sentImageUrls.add(content); content = `![Image](${content})`; } else { content = ''; }
             }
-          } catch (_) {
-            if (dataStr && !dataStr.startsWith('{')) { content = dataStr; }
+          } else if ((delta.chat_type === 't2i' || delta.chat_type === 'image_edit') && typeof content === 'string' && content.startsWith('https://')) {
+            if (!sentImageUrls.has(content)) { sentImageUrls.add(content); content = `![Image](${content})`; } else { content = ''; }
           }
-
-          if (content || isFinished) {
-            const openAIChunk = { id: `chatcmpl-${messageId}`, object: 'chat.completion.chunk', created: Math.floor(Date.now()/1000), model: 'qwen-proxy', choices: [{ index: 0, delta: { content }, finish_reason: isFinished ? 'stop' : null }] };
-            this.push(`data: ${JSON.stringify(openAIChunk)}\n\n`);
+          if (delta.status === 'finished' && !isThinkingPhase(delta.phase)) {
+            isFinished = true;
           }
+          isFinished = isFinished || choice.finish_reason === 'stop';
         }
-        callback();
+      } else if (q.content) {
+        content = q.content;
+        if (typeof content === 'string' && content.startsWith('https://') && content.includes('cdn.qwenlm.ai')) {
+          if (!sentImageUrls.has(content)) { sentImageUrls.add(content); content = `![Image](${content})`; } else { content = ''; }
+        }
+        isFinished = q.status === 'finished' || q.finish_reason === 'stop';
+      } else if (q.result || q.data) {
+        const data = q.result || q.data;
+        if (typeof data === 'string') content = data; else if (data.content) content = data.content;
+      }
+    } catch (_) {
+      if (!dataStr.startsWith('{')) { content = dataStr; }
+    }
+
+    completionText += reasoningContent + content;
+    answerText += content;
+    if (reasoningContent) pushChunk(stream, { reasoning_content: reasoningContent });
+    if (content || (isFinished && toolParser)) pushAnswer(stream, content, isFinished);
+    if (isFinished) pushFinish(stream);
+  };
+
+  const transformer = new Transform({
+    readableObjectMode: false,
+    writableObjectMode: false,
+    transform(chunk, _enc, callback) {
+      try {
+        parser.push(chunk);
       } catch (e) {
         logger.error('Transform stream processing failed', e);
-        callback();
       }
+      callback();
+    },
+    flush(callback) {
+      try {
+        parser.end();
+      } catch (e) {
+        logger.error('Transform stream processing failed', e);
+      }
+      // Without an upstream [DONE], buffered tool calls and the usage chunk still go out before the caller ends the stream
+      if (!doneSent) {
+        pushPendingFinish(this, false);
+        pushUsageChunk(this);
+      }
+      if (onComplete && !failed) {
+        try { onComplete({ content: answerText, responseId }); } catch (e) { logger.error('Stream completion callback failed', e); }
+      }
+      callback();
     }
   });
+  const parser = createSseParser((event) => handlePayload(transformer, event.data));
+  return transformer;
 }
 
 // Non-streaming: Integrate complete upstream response as OpenAI completion
-function convertQwenResponseToOpenAI(json) {
+function convertQwenResponseToOpenAI(json, model = DEFAULT_RESPONSE_MODEL) {
   const id = `chatcmpl-${randomUUID()}`;
 
   const coerceToString = (val) => {
@@ -166,26 +247,44 @@ function convertQwenResponseToOpenAI(json) {
   // Final fallback: avoid returning empty string
   if (!content) content = '';
 
+  const reasoningContent = pick(
+    json?.choices?.[0]?.message?.reasoning_content,
+    json?.choices?.[0]?.delta?.reasoning_content,
+    json?.reasoning_content
+  );
+  const message = { role: 'assistant', content };
+  if (reasoningContent) message.reasoning_content = reasoningContent;
+
   return {
     id,
     object: 'chat.completion',
     created: Math.floor(Date.now()/1000),
-    model: 'qwen-proxy',
+    model,
     choices: [
       {
         index: 0,
-        message: { role: 'assistant', content },
+        message,
         finish_reason: 'stop'
       }
-    ]
+    ],
+    usage: buildUsage({ upstreamUsage: json?.usage, completionText: reasoningContent + content })
   };
 }
 
 // Aggregate upstream SSE stream as one-time text (for non-stream fallback implementation)
+// Resolves to { content, reasoning_content, usage, image_urls, response_id }, reasoning text comes from thinking-phase deltas
+// usage is the raw upstream usage object (null when upstream never sent one); image_urls lists generated image links
+// response_id is the upstream assistant message id (null if not reported); failed is true when upstream sent an error event,
+// error is the body of the first such event
 function collectOpenAICompletionFromSSE(readable) {
   return new Promise((resolve) => {
-    let remainder = '';
     let content = '';
+    let reasoningContent = '';
+    let upstreamUsage = null;
+    let responseId = null;
+    let failed = false;
+    let upstreamError = null;
+    let settled = false;
     const sentImageUrls = new Set();
 
     function pickContentFromQwen(q) {
@@ -195,6 +294,10 @@ function collectOpenAICompletionFromSSE(readable) {
           const choice = q.choices[0];
           const delta = choice.delta || choice.message || {};
           let c = delta.content || '';
+          if (isThinkingPhase(delta.phase)) {
+            if (typeof c === 'string') reasoningContent += c;
+            return '';
+          }
           if (delta.phase === 'image_gen' && typeof c === 'string' && c.startsWith('https://')) {
             if (!sentImageUrls.has(c)) { sentImageUrls.add(c); c = `![Image](${c})`; } else { c = ''; }
           } else if ((delta.chat_type === 't2i' || delta.chat_type === 'image_edit') && typeof c === 'string' && c.startsWith('https://')) {
@@ -219,37 +322,47 @@ function collectOpenAICompletionFromSSE(readable) {
       return '';
     }
 
-    const onData = (buf) => {
-      remainder += buf.toString('utf-8');
-      let idx;
-      while ((idx = remainder.indexOf('\n')) >= 0) {
-        const line = remainder.slice(0, idx);
-        remainder = remainder.slice(idx + 1);
-        const trimmed = line.trim();
-        if (!trimmed) continue;
-        if (trimmed === 'data: [DONE]') {
-          try { readable.destroy?.(); } catch (_) {}
-          resolve(content);
-          return;
-        }
-        if (trimmed.startsWith('data: ')) {
-          const payload = trimmed.slice(6);
-          try {
-            const q = JSON.parse(payload);
-            const piece = pickContentFromQwen(q);
-            if (piece) content += piece;
-          } catch (_) {
-            // Non-JSON, directly concatenate
-            if (payload && !payload.startsWith('{')) content += payload;
-          }
+    const parser = createSseParser((event) => {
+      if (settled) return;
+      const payload = event.data.trim();
+      if (!payload) return;
+      if (payload === '[DONE]') {
+        try { readable.destroy?.(); } catch (_) {}
+        finalize();
+        return;
+      }
+      try {
+        const q = JSON.parse(payload);
+        if (q.usage) upstreamUsage = q.usage;
+        if (q['response.created']?.response_id) responseId = q['response.created'].response_id;
+        if (q.success === false) {
+          failed = true;
+          if (!upstreamError) upstreamError = q;
         }
+        const piece = pickContentFromQwen(q);
+        if (piece) content += piece;
+      } catch (_) {
+        // Non-JSON, directly concatenate
+        if (!payload.startsWith('{')) content += payload;
       }
+    });
+
+    const onData = (buf) => {
+      try { parser.push(buf); } catch (e) { logger.error('SSE aggregation failed', e); }
+    };
+    const onEnd = () => {
+      try { parser.end(); } catch (e) { logger.error('SSE aggregation failed', e); }
+      finalize();
     };
 
-    const finalize = () => resolve(content);
+    function finalize() {
+      if (settled) return;
+      settled = true;
+      resolve({ content, reasoning_content: reasoningContent, usage: upstreamUsage, image_urls: [...sentImageUrls], response_id: responseId, failed, error: upstreamError });
+    }
     readable.on('data', onData);
-    readable.on('end', finalize);
-    readable.on('close', finalize);
+    readable.on('end', onEnd);
+    readable.on('close', onEnd);
     readable.on('error', finalize);
   });
 }
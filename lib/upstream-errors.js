@@ -0,0 +1,115 @@
+// Upstream Errors: Detect error replies hidden in 200 responses, classify upstream failures and map them to handling policies
+const { Readable } = require('stream');
+
+const UPSTREAM_ERROR_CLASSES = {
+  AUTH_EXPIRED: 'auth_expired',
+  RATE_LIMITED: 'rate_limited',
+  CONTENT_MODERATION: 'content_moderation',
+  MODEL_UNAVAILABLE: 'model_unavailable',
+  TIMEOUT: 'timeout',
+  // Upstream 5xx and network errors
+  SERVER_ERROR: 'server_error',
+  CLIENT_ERROR: 'client_error',
+  OTHER: 'other'
+};
+
+// Per class: retry on another identity, count against the identity's circuit breaker, HTTP status for the client
+// Expired tokens are refreshed and rate-limited identities cool down instead of being penalized
+const ERROR_POLICIES = {
+  [UPSTREAM_ERROR_CLASSES.AUTH_EXPIRED]: { retryIdentity: true, penalize: false, status: 401 },
+  [UPSTREAM_ERROR_CLASSES.RATE_LIMITED]: { retryIdentity: true, penalize: false, status: 429 },
+  [UPSTREAM_ERROR_CLASSES.CONTENT_MODERATION]: { retryIdentity: false, penalize: false, status: 400 },
+  [UPSTREAM_ERROR_CLASSES.MODEL_UNAVAILABLE]: { retryIdentity: false, penalize: false, status: 503 },
+  [UPSTREAM_ERROR_CLASSES.TIMEOUT]: { retryIdentity: true, penalize: true, status: 504 },
+  [UPSTREAM_ERROR_CLASSES.SERVER_ERROR]: { retryIdentity: true, penalize: true, status: 502 },
+  [UPSTREAM_ERROR_CLASSES.CLIENT_ERROR]: { retryIdentity: false, penalize: false, status: 400 },
+  [UPSTREAM_ERROR_CLASSES.OTHER]: { retryIdentity: true, penalize: true, status: 500 }
+};
+
+const AUTH_PATTERN = /unauthori[sz]ed|token.{0,20}(expired|invalid)|invalid.{0,10}token|not.?log(ged)?.?in|login.?required|未登录|登录已?过期/i;
+const CONTENT_MODERATION_PATTERN = /inappropriate content|data.?inspection|content.{0,20}(security|moderation|policy|violat)|green.?net|违规|敏感|内容安全/i;
+const CLIENT_ERROR_PATTERN = /bad.?request|invalid.?(param|request|argument)|参数/i;
+const RATE_LIMIT_PATTERN = /rate.?limit|too many requests|throttl|quota|请求过于频繁|频率/i;
+const MODEL_UNAVAILABLE_PATTERN = /model.{0,40}(not exist|not found|unavailable|not support|offline|disabled)|overload|server busy|capacity|模型.{0,10}(不存在|不可用)|繁忙/i;
+const TIMEOUT_PATTERN = /timeout|timed out/i;
+const TIMEOUT_CODES = new Set(['ECONNABORTED', 'ETIMEDOUT', 'ESOCKETTIMEDOUT']);
+const NETWORK_CODES = new Set(['ECONNRESET', 'ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN', 'EPIPE', 'EHOSTUNREACH', 'ENETUNREACH', 'ERR_SOCKET_CONNECTION_TIMEOUT']);
+
+function readStream(stream) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    stream.on('data', (chunk) => chunks.push(Buffer.from(chunk)));
+    stream.on('end', () => resolve(Buffer.concat(chunks).toString('utf-8')));
+    stream.on('error', reject);
+  });
+}
+
+// Qwen reports some failures (rate limits, unknown models) as a JSON body instead of an SSE stream
+// Throws an Error carrying upstreamCode / upstreamDetails for such replies; otherwise the body is left readable
+async function assertUpstreamStream(upstream) {
+  const contentType = String(upstream.headers?.['content-type'] || '');
+  if (!contentType.includes('application/json') || typeof upstream.data?.pipe !== 'function') return;
+  const text = await readStream(upstream.data);
+  let body = null;
+  try { body = JSON.parse(text); } catch (_) {}
+  if (body && (body.success === false || body.error || body.data?.code)) throw upstreamBodyError(body, upstream.status);
+  upstream.data = Readable.from([text]);
+}
+
+// Error for an upstream error body ({ success: false, data: { code, details } } and variants), classified like HTTP errors
+function upstreamBodyError(body, status) {
+  const code = body.data?.code || body.error?.code || body.code || 'unknown';
+  const details = body.data?.details || body.error?.message || body.message || (typeof body.error === 'string' ? body.error : '');
+  const error = new Error(`Upstream API returned error: ${code}${details ? ` - ${details}` : ''}`);
+  error.upstreamCode = code;
+  error.upstreamDetails = details;
+  error.response = { status, data: body };
+  return error;
+}
+
+// Failure class of an upstream error (HTTP status, network error code, or upstream error code / message)
+function classifyUpstreamError(error) {
+  const status = error?.response?.status;
+  const text = [error?.upstreamCode, error?.upstreamDetails, error?.message].filter(Boolean).join(' ');
+  if (status === 401 || AUTH_PATTERN.test(text)) return UPSTREAM_ERROR_CLASSES.AUTH_EXPIRED;
+  if (status === 429 || RATE_LIMIT_PATTERN.test(text)) return UPSTREAM_ERROR_CLASSES.RATE_LIMITED;
+  if (CONTENT_MODERATION_PATTERN.test(text)) return UPSTREAM_ERROR_CLASSES.CONTENT_MODERATION;
+  if (TIMEOUT_CODES.has(error?.code) || status === 504 || TIMEOUT_PATTERN.test(text)) return UPSTREAM_ERROR_CLASSES.TIMEOUT;
+  if (status === 503 || MODEL_UNAVAILABLE_PATTERN.test(text)) return UPSTREAM_ERROR_CLASSES.MODEL_UNAVAILABLE;
+  if (status >= 500 || NETWORK_CODES.has(error?.code) || /socket hang up/i.test(text)) return UPSTREAM_ERROR_CLASSES.SERVER_ERROR;
+  if ((status >= 400 && status < 500) || CLIENT_ERROR_PATTERN.test(text)) return UPSTREAM_ERROR_CLASSES.CLIENT_ERROR;
+  return UPSTREAM_ERROR_CLASSES.OTHER;
+}
+
+function getErrorPolicy(errorClass) {
+  return ERROR_POLICIES[errorClass] || ERROR_POLICIES[UPSTREAM_ERROR_CLASSES.OTHER];
+}
+
+// HTTP status for the client: client errors keep upstream's 4xx, unclassified upstream replies become 502
+function upstreamErrorStatus(error, errorClass = classifyUpstreamError(error)) {
+  const status = error?.response?.status;
+  if (errorClass === UPSTREAM_ERROR_CLASSES.CLIENT_ERROR && status >= 400 && status < 500) return status;
+  if (errorClass === UPSTREAM_ERROR_CLASSES.OTHER && error?.response) return 502;
+  return getErrorPolicy(errorClass).status;
+}
+
+// Retry-After of an upstream reply in milliseconds (delta seconds or HTTP date), null when absent
+function retryAfterMs(error) {
+  const value = error?.response?.headers?.['retry-after'];
+  if (value === undefined || value === null || value === '') return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+module.exports = {
+  UPSTREAM_ERROR_CLASSES,
+  ERROR_POLICIES,
+  assertUpstreamStream,
+  upstreamBodyError,
+  classifyUpstreamError,
+  getErrorPolicy,
+  upstreamErrorStatus,
+  retryAfterMs
+};
@@ -0,0 +1,70 @@
+// Token Usage Module: Normalize upstream usage fields and estimate token counts locally when upstream omits them
+
+// CJK ideographs, kana and hangul are roughly one token per character in Qwen's tokenizer
+const CJK_REGEX = /[぀-ヿ㐀-䶿一-鿿가-힯豈-﫿]/g;
+// Per-message framing overhead (role markers and separators)
+const MESSAGE_OVERHEAD_TOKENS = 4;
+
+// Estimate token count of a text: CJK characters count as one token, other text as ~4 characters per token
+function estimateTokens(text) {
+  if (!text) return 0;
+  const str = typeof text === 'string' ? text : JSON.stringify(text);
+  const cjkCount = (str.match(CJK_REGEX) || []).length;
+  const rest = str.replace(CJK_REGEX, '');
+  return cjkCount + Math.ceil(rest.length / 4);
+}
+
+// Extract plain text from message content (string or OpenAI content parts)
+function contentToText(content) {
+  if (!content) return '';
+  if (typeof content === 'string') return content;
+  if (Array.isArray(content)) {
+    return content
+      .map((p) => (typeof p === 'string' ? p : (p?.text || p?.content || '')))
+      .filter((t) => typeof t === 'string')
+      .join('');
+  }
+  if (typeof content === 'object') return content.text || content.content || '';
+  return '';
+}
+
+// Estimate prompt tokens of a message list (OpenAI or Qwen message format)
+function estimateMessagesTokens(messages) {
+  if (!Array.isArray(messages)) return 0;
+  return messages.reduce((sum, m) => sum + MESSAGE_OVERHEAD_TOKENS + estimateTokens(contentToText(m?.content)), 0);
+}
+
+// Normalize upstream usage (Qwen uses input_tokens/output_tokens) to OpenAI field names, null if absent
+function normalizeUpstreamUsage(usage) {
+  if (!usage || typeof usage !== 'object') return null;
+  const prompt = Number(usage.prompt_tokens ?? usage.input_tokens);
+  const completion = Number(usage.completion_tokens ?? usage.output_tokens);
+  if (!Number.isFinite(prompt) && !Number.isFinite(completion)) return null;
+  const promptTokens = Number.isFinite(prompt) ? prompt : 0;
+  const completionTokens = Number.isFinite(completion) ? completion : 0;
+  const total = Number(usage.total_tokens);
+  return {
+    prompt_tokens: promptTokens,
+    completion_tokens: completionTokens,
+    total_tokens: Number.isFinite(total) ? total : promptTokens + completionTokens
+  };
+}
+
+// Build OpenAI usage object: prefer upstream fields, fill missing parts with local estimates
+function buildUsage({ upstreamUsage = null, promptTokens = 0, completionText = '' } = {}) {
+  const normalized = normalizeUpstreamUsage(upstreamUsage);
+  const prompt = normalized?.prompt_tokens || promptTokens || 0;
+  const completion = normalized?.completion_tokens || estimateTokens(completionText);
+  return {
+    prompt_tokens: prompt,
+    completion_tokens: completion,
+    total_tokens: prompt + completion
+  };
+}
+
+module.exports = {
+  estimateTokens,
+  estimateMessagesTokens,
+  normalizeUpstreamUsage,
+  buildUsage
+};
@@ -0,0 +1,229 @@
+// Video Jobs: Asynchronous t2v job tracking (in-memory state, optional JSON persistence, upstream task polling)
+const fs = require('fs');
+const path = require('path');
+const { EventEmitter } = require('events');
+const { randomUUID } = require('crypto');
+const { http } = require('./http');
+const { logger } = require('./logger');
+const { buildBrowserLikeHeaders } = require('./headers');
+
+const QWEN_TASK_STATUS_URL = 'https://chat.qwen.ai/api/v1/tasks/status';
+
+const VIDEO_JOB_CONFIG = {
+  pollInterval: 5000,
+  // Give up on an upstream task after this long
+  maxPollDuration: 30 * 60 * 1000,
+  // Finished jobs are kept this long before being pruned
+  retention: 24 * 60 * 60 * 1000,
+  // Consecutive status request failures tolerated before the job fails
+  maxPollErrors: 5
+};
+
+const TERMINAL_STATUSES = new Set(['completed', 'failed']);
+
+const jobs = new Map();
+const events = new EventEmitter();
+events.setMaxListeners(0);
+let persistPath = '';
+
+const delay = (ms) => new Promise(r => setTimeout(r, ms));
+
+function isTerminal(job) {
+  return TERMINAL_STATUSES.has(job.status);
+}
+
+function persist() {
+  if (!persistPath) return;
+  try {
+    const tmp = `${persistPath}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify([...jobs.values()], null, 2));
+    fs.renameSync(tmp, persistPath);
+  } catch (e) {
+    logger.error('Failed to persist video jobs', e, { persistPath });
+  }
+}
+
+function pruneJobs() {
+  const cutoff = Date.now() - VIDEO_JOB_CONFIG.retention;
+  for (const [id, job] of jobs) {
+    if (isTerminal(job) && (job.completed_at || job.created_at) * 1000 < cutoff) jobs.delete(id);
+  }
+}
+
+// Public job object (OpenAI video object shape plus the resolved video URL)
+function toVideoObject(job) {
+  return {
+    id: job.id,
+    object: 'video',
+    model: job.model,
+    status: job.status,
+    progress: job.progress,
+    created_at: job.created_at,
+    completed_at: job.completed_at,
+    prompt: job.prompt,
+    size: job.size,
+    url: job.url,
+    error: job.error
+  };
+}
+
+function updateJob(job, changes) {
+  Object.assign(job, changes);
+  persist();
+  events.emit(job.id, toVideoObject(job));
+}
+
+function failJob(job, message, code = 'video_generation_failed') {
+  logger.error('Video job failed', message, { jobId: job.id, taskId: job.task_id });
+  updateJob(job, { status: 'failed', error: { code, message }, completed_at: Math.floor(Date.now() / 1000) });
+}
+
+// Find the upstream task id anywhere in the completion reply (JSON body or SSE text)
+function extractVideoTaskId(data) {
+  const visit = (value) => {
+    if (!value || typeof value !== 'object') return null;
+    if (typeof value.task_id === 'string' && value.task_id) return value.task_id;
+    for (const child of Object.values(value)) {
+      const found = visit(child);
+      if (found) return found;
+    }
+    return null;
+  };
+  if (typeof data !== 'string') return visit(data);
+  try { return visit(JSON.parse(data)); } catch (_) {}
+  for (const line of data.split(/\r?\n/)) {
+    const payload = line.replace(/^data:\s*/, '').trim();
+    if (!payload.startsWith('{')) continue;
+    try {
+      const found = visit(JSON.parse(payload));
+      if (found) return found;
+    } catch (_) {}
+  }
+  return null;
+}
+
+async function fetchTaskStatus(taskId, identity) {
+  const headers = buildBrowserLikeHeaders(identity.token, { includeCookie: false });
+  if (identity.cookie) headers['Cookie'] = identity.cookie.replace(/[\r\n]/g, '').trim();
+  const resp = await http.get(`${QWEN_TASK_STATUS_URL}/${taskId}`, { headers, timeout: 30000 });
+  const body = resp.data?.data || resp.data || {};
+  return {
+    status: String(body.task_status || body.status || '').toLowerCase(),
+    url: typeof body.content === 'string' && body.content.startsWith('http') ? body.content : (body.video_url || body.url || null),
+    progress: Number.isFinite(Number(body.progress)) ? Number(body.progress) : null,
+    message: body.message || body.error || null
+  };
+}
+
+// Poll the upstream task until it finishes, fails or times out
+async function pollVideoTask(job, identity) {
+  const startedAt = Date.now();
+  let errors = 0;
+  while (Date.now() - startedAt < VIDEO_JOB_CONFIG.maxPollDuration) {
+    await delay(VIDEO_JOB_CONFIG.pollInterval);
+    let task;
+    try {
+      task = await fetchTaskStatus(job.task_id, identity);
+      errors = 0;
+    } catch (e) {
+      errors += 1;
+      logger.warn('Video task status request failed', { jobId: job.id, taskId: job.task_id, errors, error: e.message });
+      if (errors >= VIDEO_JOB_CONFIG.maxPollErrors) return failJob(job, `Failed to query upstream task: ${e.message}`);
+      continue;
+    }
+    if (task.status === 'success' || task.status === 'succeeded' || task.status === 'completed') {
+      if (!task.url) return failJob(job, 'Upstream task finished without a video URL');
+      logger.info('Video job completed', { jobId: job.id, taskId: job.task_id });
+      return updateJob(job, { status: 'completed', progress: 100, url: task.url, completed_at: Math.floor(Date.now() / 1000) });
+    }
+    if (task.status === 'failed' || task.status === 'error' || task.status === 'cancelled') {
+      return failJob(job, task.message || `Upstream task ${task.status}`);
+    }
+    // Upstream rarely reports progress, estimate from elapsed time (capped below 100)
+    const estimated = Math.min(95, Math.round(((Date.now() - startedAt) / (3 * 60 * 1000)) * 100));
+    const progress = Math.max(job.progress, Math.min(99, task.progress ?? estimated));
+    if (progress !== job.progress || job.status !== 'in_progress') updateJob(job, { status: 'in_progress', progress });
+  }
+  return failJob(job, 'Timed out waiting for upstream video task', 'timeout');
+}
+
+// Create a queued job; the caller starts it with runVideoJob
+// owner: owner key of the identity that runs the job (see ownerOf in lib/file-store.js), used for access checks and resuming
+function createVideoJob({ model, prompt, size, seconds, owner }) {
+  pruneJobs();
+  const job = {
+    id: `video_${randomUUID().replace(/-/g, '')}`,
+    model,
+    status: 'queued',
+    progress: 0,
+    created_at: Math.floor(Date.now() / 1000),
+    completed_at: null,
+    prompt,
+    size: size || null,
+    seconds: seconds || null,
+    url: null,
+    error: null,
+    task_id: null,
+    chat_id: null,
+    owner: owner || null
+  };
+  jobs.set(job.id, job);
+  persist();
+  return job;
+}
+
+// submit(identity) creates the upstream task and resolves { taskId, chatId }
+async function runVideoJob(job, identity, submit) {
+  try {
+    updateJob(job, { status: 'in_progress' });
+    const { taskId, chatId } = await submit(identity);
+    updateJob(job, { task_id: taskId, chat_id: chatId || null });
+    logger.info('Video task submitted', { jobId: job.id, taskId, identityId: identity.id });
+    await pollVideoTask(job, identity);
+  } catch (e) {
+    failJob(job, e.message || 'Video generation failed');
+  }
+}
+
+function getVideoJob(id) {
+  return jobs.get(id) || null;
+}
+
+// Listen for job updates; returns an unsubscribe function
+function subscribeVideoJob(id, listener) {
+  events.on(id, listener);
+  return () => events.off(id, listener);
+}
+
+// Load persisted jobs; unfinished jobs with a known task are resumed via resolveIdentity(owner)
+function initVideoJobs({ file, resolveIdentity } = {}) {
+  persistPath = file ? path.resolve(file) : '';
+  if (!persistPath || !fs.existsSync(persistPath)) return;
+  try {
+    const saved = JSON.parse(fs.readFileSync(persistPath, 'utf-8'));
+    for (const job of Array.isArray(saved) ? saved : []) if (job?.id) jobs.set(job.id, job);
+    logger.info('Loaded persisted video jobs', { count: jobs.size, file: persistPath });
+  } catch (e) {
+    logger.error('Failed to load persisted video jobs', e, { file: persistPath });
+    return;
+  }
+  for (const job of jobs.values()) {
+    if (isTerminal(job)) continue;
+    const identity = job.task_id && job.owner && resolveIdentity ? resolveIdentity(job.owner) : null;
+    if (!identity) { failJob(job, 'Job was interrupted by a server restart', 'interrupted'); continue; }
+    logger.info('Resuming video job', { jobId: job.id, taskId: job.task_id });
+    pollVideoTask(job, identity).catch((e) => failJob(job, e.message));
+  }
+}
+
+module.exports = {
+  VIDEO_JOB_CONFIG,
+  initVideoJobs,
+  createVideoJob,
+  runVideoJob,
+  getVideoJob,
+  subscribeVideoJob,
+  toVideoObject,
+  isTerminal,
+  extractVideoTaskId
+};
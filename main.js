@@ -1,8 +1,10 @@
 const express = require('express');
+const multer = require('multer');
+const mime = require('mime-types');
 const cors = require('cors');
 const helmet = require('helmet');
 const { randomUUID } = require('crypto');
-const { config, getApiKey, getQwenToken, getCookie, getCookies, isServerMode, isDebugMode, getServerPort, getVisionFallbackModel, isTokenExpired, getTokenRemainingTime, formatRemainingTime, reloadConfig, getTokenRefreshInfo } = require('./lib/config');
+const { config, getApiKey, getQwenToken, getCookie, getCookies, isServerMode, isDebugMode, getServerPort, getVisionFallbackModel, getVideoJobsFile, getFilesIndexFile, isSessionModeEnabled, getContextOverflowStrategy, getContextSummaryModel, getModelContextLimits, isTokenExpired, getTokenRemainingTime, formatRemainingTime, reloadConfig, getTokenRefreshInfo } = require('./lib/config');
 const { startTokenRefreshScheduler, checkAndRefreshToken, getTokenFromCookie } = require('./lib/token-refresh');
 const { buildBrowserLikeHeaders } = require('./lib/headers');
 const { setSseHeaders, createKeepAlive } = require('./lib/sse');
@@ -10,7 +12,25 @@ const { http } = require('./lib/http');
 const { logger } = require('./lib/logger');
 const { createQwenToOpenAIStreamTransformer, convertQwenResponseToOpenAI, collectOpenAICompletionFromSSE } = require('./lib/transformers');
 const { startChatDeletionScheduler } = require('./lib/chat-deletion');
-const { identityPool } = require('./lib/identity-pool');
+const { buildUsage, estimateMessagesTokens } = require('./lib/usage');
+const { parseFeatureFlags, isChatType, isThinkingEnabled, parserModel } = require('./chat-helpers');
+const { isToolCallingRequested, applyToolEmulation, parseToolCalls } = require('./lib/tool-calls');
+const { isJsonResponseFormat, applyResponseFormat, validateResponseFormat, buildRepairPrompt } = require('./lib/response-format');
+const { convertAnthropicRequestToOpenAI, buildAnthropicError, anthropicAdapter } = require('./lib/anthropic');
+const { convertResponsesRequestToOpenAI, buildResponsesError, responsesAdapter } = require('./lib/responses-api');
+const { IMAGE_RESPONSE_FORMATS, MAX_EDIT_INPUT_IMAGES, MASK_INSTRUCTION, withImageSuffix, normalizeImageCount, extractImageUrls, buildImageData } = require('./lib/images');
+const { IMAGE_UPLOAD_CONFIG, UPLOAD_FAILED, uploadFailedError, uploadFileBuffer, uploadImageBuffer, uploadImageSource } = require('./lib/image-upload');
+const { buildQwenFileEntry, isAttachmentPart, collectFileIds, collectAttachmentKinds, processAttachmentPart } = require('./lib/attachments');
+const { findSession, saveSession, deleteSession } = require('./lib/sessions');
+const { baseModelId, fetchModelCatalog, ensureModelCatalog, getModelContextLength } = require('./lib/models');
+const { buildSummaryPrompt, fitContextWindow } = require('./lib/context-window');
+const { applyModelAlias, resolveModelName, listAliasModels } = require('./lib/model-aliases');
+const { UPSTREAM_ERROR_CLASSES, assertUpstreamStream, upstreamBodyError, classifyUpstreamError, getErrorPolicy, upstreamErrorStatus, retryAfterMs } = require('./lib/upstream-errors');
+const { getFallbackChain, shouldFallback } = require('./lib/model-fallbacks');
+const { getModelCapabilities, checkModelCapabilities } = require('./lib/capabilities');
+const { initFileStore, ownerOf, isAccessibleBy, isFileExpired, toFileObject, addFile, getFile, listFiles, deleteFile } = require('./lib/file-store');
+const { initVideoJobs, createVideoJob, runVideoJob, getVideoJob, subscribeVideoJob, toVideoObject, isTerminal, extractVideoTaskId } = require('./lib/videos');
+const { identityPool, POOL_SATURATED, SLOT_WAIT_ABORTED } = require('./lib/identity-pool');
 
 // Logging is managed by lib/logger.js
 
@@ -140,6 +160,12 @@ function calculateAspectRatio(size) {
   return `${w/d}:${h/d}`;
 }
 
+// OpenAI image size (WxH) -> Qwen aspect ratio
+function toQwenImageSize(openAISize) {
+  const sizeMap = { '256x256':'1:1','512x512':'1:1','1024x1024':'1:1','1792x1024':'16:9','1024x1792':'9:16','2048x2048':'1:1','1152x768':'3:2','768x1152':'2:3' };
+  return sizeMap[openAISize] || calculateAspectRatio(openAISize);
+}
+
 function validateQwenRequest(request) {
   try {
     if (!request.chat_id || !request.messages || !Array.isArray(request.messages)) return false;
@@ -153,35 +179,10 @@ function validateQwenRequest(request) {
   } catch (_) { return false; }
 }
 
-async function processImageUpload(imageUrl, authToken, cookie) {
-  // Compatible with main.ts: Temporarily skip OSS upload, directly pass through original URL
-  let filename = `image_${Date.now()}.png`;
-  let mimeType = 'image/png';
-  if (typeof imageUrl === 'string' && imageUrl.startsWith('data:image/')) {
-    const mimeMatch = imageUrl.match(/data:image\/([^;]+)/);
-    if (mimeMatch) { mimeType = `image/${mimeMatch[1]}`; filename = `image_${Date.now()}.${mimeMatch[1]}`; }
-  } else if (typeof imageUrl === 'string' && imageUrl.startsWith('http')) {
-    const urlMatch = imageUrl.match(/\.(jpg|jpeg|png|gif|webp|bmp)(\?|$)/i);
-    if (urlMatch) { const ext = urlMatch[1].toLowerCase(); mimeType = `image/${ext === 'jpg' ? 'jpeg' : ext}`; filename = `image_${Date.now()}.${ext}`; }
-  }
-  return {
-    type: 'image',
-    file: { created_at: Date.now(), data: {}, filename, hash: null, id: randomUUID(), user_id: 'system', meta: { name: filename, size: 0, content_type: mimeType }, update_at: Date.now() },
-    id: randomUUID(),
-    url: imageUrl,
-    name: filename,
-    collection_name: '',
-    progress: 0,
-    status: 'uploaded',
-    greenNet: 'success',
-    size: 0,
-    error: '',
-    itemId: randomUUID(),
-    file_type: mimeType,
-    showType: 'image',
-    file_class: 'vision',
-    uploadTaskId: randomUUID()
-  };
+// Upload a message image (data URI or remote URL) to Qwen OSS with the identity's token, then build its chat file entry
+async function processImageUpload(imageUrl, authToken) {
+  const uploaded = await uploadImageSource(imageUrl, authToken);
+  return buildQwenFileEntry({ kind: 'image', url: uploaded.url, filename: uploaded.filename, mimeType: uploaded.mimeType, size: uploaded.size, fileId: uploaded.fileId });
 }
 
 function extractImagesFromHistory(messages) {
@@ -205,26 +206,47 @@ function extractImagesFromHistory(messages) {
   return images.slice(-3);
 }
 
+// Resolves { request, chatId, usedFallback, resolvedModel, continued, uploaded }; uploaded is true when the request carries
+// files uploaded with token (they live in that account's OSS space, so the request must stay on its identity)
 async function transformOpenAIRequestToQwen(openAIRequest, token, cookie, opts = {}) {
   if (!openAIRequest.messages || !Array.isArray(openAIRequest.messages)) throw new Error('Invalid request: messages array is required');
   if (openAIRequest.messages.length === 0) throw new Error('Invalid request: messages array cannot be empty');
   const model = openAIRequest.model || 'qwen-max';
   const wantStream = openAIRequest.stream !== false; // Default stream, explicit false means non-stream
-  let chat_type = 't2t';
   const hasImages = openAIRequest.messages.some(msg => hasImagesInMessage(msg));
-  if (model.endsWith('-image')) chat_type = 't2i';
-  else if (model.endsWith('-image_edit')) chat_type = 'image_edit';
-  else if (model.endsWith('-video')) chat_type = 't2v';
-  else if (hasImages) { chat_type = 't2t'; }
-  let qwenModel = model.replace(/-(search|thinking|image|image_edit|video)$/,'');
+  // Model suffixes (combinable) and request-level flags (enable_search, enable_thinking, ...) select chat type and features
+  const featureFlags = parseFeatureFlags(openAIRequest);
+  const chat_type = isChatType(model, featureFlags);
+  const featureConfig = isThinkingEnabled(model, featureFlags.enableThinking, featureFlags.thinkingBudget);
+  let qwenModel = parserModel(model);
   let usedFallback = false;
   const disableVisionFallback = !!opts.disableVisionFallback;
-  if (!disableVisionFallback && hasImages && !/(image|image_edit|video)$/.test(model) && config.VISION_FALLBACK_MODEL) {
+  // Models that support vision natively (per cached upstream metadata) keep their images
+  const needsVisionFallback = hasImages && !['t2i', 'image_edit', 't2v'].includes(chat_type) && getModelCapabilities(qwenModel)?.vision !== true;
+  if (!disableVisionFallback && needsVisionFallback && config.VISION_FALLBACK_MODEL) {
     qwenModel = config.VISION_FALLBACK_MODEL;
     usedFallback = true;
     logger.info('Image detected, switched to visual fallback model', { fallback: qwenModel });
   }
-  const chatId = await createNewChat(token, cookie, qwenModel, chat_type);
+  // Model reported back to the client: requested id (with suffix), or the vision fallback that replaced it
+  const resolvedModel = usedFallback ? qwenModel : model;
+
+  // Session continuation (opts.session from lib/sessions.js): reuse the Qwen chat and send only the new turn
+  let continuation = opts.session && (chat_type === 't2t' || chat_type === 'search') && opts.session.model === qwenModel ? opts.session : null;
+  let deltaMessages = null;
+  if (continuation) {
+    const converted = applyToolEmulation(openAIRequest.messages, null);
+    const prefixCount = applyToolEmulation(openAIRequest.messages.slice(0, continuation.prefixLength), null).length;
+    deltaMessages = converted.slice(prefixCount);
+    // Qwen takes one new user message per turn; anything else starts over with the full history
+    if (deltaMessages.length === 0 || deltaMessages.some((m) => m.role !== 'user')) {
+      continuation = null;
+      deltaMessages = null;
+    }
+  }
+
+  // opts.chatId: chat already created for this request (same model and chat type), used instead of a new one
+  const chatId = continuation ? continuation.chatId : (opts.chatId || await createNewChat(token, cookie, qwenModel, chat_type));
   if (!chatId) throw new Error('Failed to create chat session');
 
   if (chat_type === 'image_edit') {
@@ -240,21 +262,20 @@ async function transformOpenAIRequestToQwen(openAIRequest, token, cookie, opts =
         else if (item.type === 'image' && item.image) currentMessageImages.push(item.image);
       }
     }
-    const historyImages = extractImagesFromHistory(openAIRequest.messages.slice(0,-1));
-    const allImages = [...currentMessageImages, ...historyImages];
-    const imagesToUse = allImages.slice(-3);
     const files = [];
-    if (imagesToUse.length > 0) {
-      for (const imageUrl of imagesToUse) {
-        try {
-          const uploadedFile = await processImageUpload(imageUrl, token, cookie);
-          files.push(uploadedFile);
-        } catch (e) {
-          logger.error('Image upload failed, skipping this image', e);
-        }
-      }
-      if (files.length === 0) {
-        logger.error('All image uploads failed, switching to text-to-image mode');
+    // Files already uploaded by the caller (/v1/images/edits) are used as-is, without history lookup
+    const preUploaded = Array.isArray(opts.files);
+    if (preUploaded) files.push(...opts.files);
+    const allImages = preUploaded ? [] : [...currentMessageImages, ...extractImagesFromHistory(openAIRequest.messages.slice(0,-1))];
+    const imagesToUse = allImages.slice(-3);
+    if (allImages.length > imagesToUse.length) {
+      logger.warn('Too many images for image editing, only the last 3 are used', { total: allImages.length });
+    }
+    for (const imageUrl of imagesToUse) {
+      try {
+        files.push(await processImageUpload(imageUrl, token));
+      } catch (e) {
+        throw uploadFailedError('Image upload failed', e);
       }
     }
     const messageId = generateMessageId();
@@ -267,6 +288,8 @@ async function transformOpenAIRequestToQwen(openAIRequest, token, cookie, opts =
       chat_mode: 'normal',
       model: qwenModel,
       parent_id: null,
+      // Without an explicit size the edited image keeps the input aspect ratio
+      ...(openAIRequest.size ? { size: toQwenImageSize(openAIRequest.size) } : {}),
       messages: [{
         fid: messageId,
         parentId: null,
@@ -285,15 +308,13 @@ async function transformOpenAIRequestToQwen(openAIRequest, token, cookie, opts =
       }],
       timestamp
     };
-    return { request: transformedRequest, chatId, usedFallback };
+    return { request: transformedRequest, chatId, usedFallback, resolvedModel, uploaded: files.length > 0 };
   }
 
   if (chat_type === 't2i') {
     const lastUserMessage = openAIRequest.messages.filter(m=>m.role==='user').pop();
     if (!lastUserMessage) throw new Error('User message for image generation not found.');
-    const openAISize = openAIRequest.size || '1024x1024';
-    const sizeMap = { '256x256':'1:1','512x512':'1:1','1024x1024':'1:1','1792x1024':'16:9','1024x1792':'9:16','2048x2048':'1:1','1152x768':'3:2','768x1152':'2:3' };
-    const qwenSize = sizeMap[openAISize] || calculateAspectRatio(openAISize);
+    const qwenSize = toQwenImageSize(openAIRequest.size || '1024x1024');
     let textContent='';
     if (typeof lastUserMessage.content === 'string') textContent = lastUserMessage.content;
     else if (Array.isArray(lastUserMessage.content)) {
@@ -327,28 +348,82 @@ async function transformOpenAIRequestToQwen(openAIRequest, token, cookie, opts =
       }],
       timestamp
     };
-    return { request: transformedRequest, chatId, usedFallback };
+    return { request: transformedRequest, chatId, usedFallback, resolvedModel };
+  }
+
+  if (chat_type === 't2v') {
+    // Video generation only creates an upstream task, the result is polled separately (see lib/videos.js)
+    const lastUserMessage = openAIRequest.messages.filter(m=>m.role==='user').pop();
+    if (!lastUserMessage) throw new Error('User message for video generation not found.');
+    const qwenSize = toQwenImageSize(openAIRequest.size || '1280x720');
+    let textContent='';
+    if (typeof lastUserMessage.content === 'string') textContent = lastUserMessage.content;
+    else if (Array.isArray(lastUserMessage.content)) {
+      for (const item of lastUserMessage.content) if (item.type==='text') textContent += (item.text || item.content || '');
+    }
+    const messageId = generateMessageId();
+    const timestamp = Math.floor(Date.now()/1000);
+    const transformedRequest = {
+      stream: false,
+      incremental_output: false,
+      chat_id: chatId,
+      chat_mode: 'normal',
+      model: qwenModel,
+      parent_id: null,
+      size: qwenSize,
+      messages: [{
+        fid: messageId,
+        parentId: null,
+        childrenIds: [],
+        role: 'user',
+        content: textContent || 'Generate a video',
+        user_action: 'chat',
+        files: [],
+        timestamp,
+        models: [qwenModel],
+        chat_type: 't2v',
+        feature_config: { thinking_enabled: false, output_schema: 'phase' },
+        extra: { meta: { subChatType: 't2v' } },
+        sub_chat_type: 't2v',
+        parent_id: null
+      }],
+      timestamp
+    };
+    return { request: transformedRequest, chatId, usedFallback, resolvedModel };
   }
 
   const timestamp = Math.floor(Date.now()/1000);
-  const transformedMessages = await Promise.all((openAIRequest.messages||[]).map(async (msg, index) => {
+  // Tool definitions, tool turns and response_format are rewritten as plain prompt text (Qwen web chat has no native support)
+  // A continued session already carries the tool prompt upstream, so only the new turn is converted
+  const sourceMessages = deltaMessages || applyResponseFormat(
+    applyToolEmulation(openAIRequest.messages, openAIRequest.tools, openAIRequest.tool_choice),
+    openAIRequest.response_format
+  );
+  const transformedMessages = await Promise.all(sourceMessages.map(async (msg, index) => {
     const messageId = generateMessageId();
     let files = [];
     let content = msg.content;
     let messageChatType = chat_type;
     if (msg.role === 'user' && Array.isArray(msg.content)) {
-      const textParts = []; const imageUrls = [];
+      const textParts = []; const imageUrls = []; const attachments = [];
       for (const item of msg.content) {
         if (item.type==='text') textParts.push(item.text || item.content || '');
         else if (item.type==='image_url' && item.image_url?.url) imageUrls.push(item.image_url.url);
         else if (item.type==='image' && item.image) imageUrls.push(item.image);
+        else if (isAttachmentPart(item)) attachments.push(item);
+      }
+      for (const imageUrl of imageUrls) {
+        try {
+          files.push(await processImageUpload(imageUrl, token));
+        } catch (e) { throw uploadFailedError('Image upload failed', e); }
       }
-      if (imageUrls.length > 0) {
+      // Documents and audio (OpenAI file / input_audio parts)
+      for (const part of attachments) {
         try {
-          for (const imageUrl of imageUrls) { const uploadedFile = await processImageUpload(imageUrl, token, cookie); files.push(uploadedFile); }
-          if (files.length > 0) messageChatType = 't2t';
-        } catch (e) { logger.error('Image upload failed, will skip image processing', e); }
+          files.push(await processAttachmentPart(part, token));
+        } catch (e) { throw uploadFailedError(`Attachment upload failed (${part.type})`, e); }
       }
+      if (files.length > 0) messageChatType = 't2t';
       content = textParts.join(' ');
     }
     return {
@@ -360,16 +435,30 @@ async function transformOpenAIRequestToQwen(openAIRequest, token, cookie, opts =
       user_action: msg.role === 'user' ? 'chat' : undefined,
       files,
       timestamp,
-      models: [model.replace(/-(search|thinking|image|image_edit|video)$/,'')],
+      models: [qwenModel],
       chat_type: messageChatType,
-      feature_config: { thinking_enabled: model.includes('-thinking'), output_schema: 'phase' },
+      feature_config: featureConfig,
       extra: { meta: { subChatType: messageChatType } },
       sub_chat_type: messageChatType,
       parent_id: null
     };
   }));
-  const transformedRequest = { stream: wantStream, incremental_output: wantStream, chat_id: chatId, chat_mode: 'normal', model: model.replace(/-(search|thinking|image|image_edit|video)$/,''), parent_id: null, messages: transformedMessages, timestamp };
-  return { request: transformedRequest, chatId, usedFallback };
+  let messages = transformedMessages;
+  if (continuation) {
+    // Fold the new turn (e.g. tool results followed by a user message) into one message chained to the previous answer
+    const [first] = transformedMessages;
+    messages = [{
+      ...first,
+      content: transformedMessages.map((m) => m.content).filter(Boolean).join('\n\n'),
+      files: transformedMessages.flatMap((m) => m.files),
+      parentId: continuation.parentId,
+      parent_id: continuation.parentId
+    }];
+  }
+  const parentId = continuation ? continuation.parentId : null;
+  const transformedRequest = { stream: wantStream, incremental_output: wantStream, chat_id: chatId, chat_mode: 'normal', model: qwenModel, parent_id: parentId, messages, timestamp };
+  const uploaded = messages.some((m) => m.files.length > 0);
+  return { request: transformedRequest, chatId, usedFallback, resolvedModel, continued: !!continuation, uploaded };
 }
 
 // Streaming transformer is provided by lib/transformers.js
@@ -377,7 +466,7 @@ async function transformOpenAIRequestToQwen(openAIRequest, token, cookie, opts =
 
 const app = express();
 app.use(helmet());
-app.use(cors());
+app.use(cors({ exposedHeaders: ['X-Request-Id', 'X-Qwen-Model', 'X-Qwen-Vision-Fallback'] }));
 app.use(express.json({ limit: '50mb' }));
 
 // Authentication middleware (supports both server-side and client-side modes)
@@ -449,20 +538,19 @@ app.get('/v1/models', async (req, res) => {
 
   if (!token) return res.status(401).json({ error: 'Authentication failed. No available Qwen token.' });
   try {
-    const headers = buildBrowserLikeHeaders(token, { includeCookie: false });
-    if (ssx) headers['Cookie'] = ssx;
-    const rsp = await http.get('https://chat.qwen.ai/api/models', { headers });
+    // Also refreshes the model catalog used for context limits
+    const originalModels = await fetchModelCatalog({ token, cookie: ssx });
 
     // Mark identity as successful
     if (identity && identity.id !== 'legacy') {
       identityPool.markIdentitySuccess(identity);
     }
-    const originalModels = rsp.data?.data || [];
     const processedModels = [];
     for (const model of originalModels) {
       processedModels.push(model);
       if (model?.info?.meta?.abilities?.thinking) processedModels.push({ ...model, id: `${model.id}-thinking` });
       if (model?.info?.meta?.chat_type?.includes('search')) processedModels.push({ ...model, id: `${model.id}-search` });
+      if (model?.info?.meta?.chat_type?.includes('deep_research')) processedModels.push({ ...model, id: `${model.id}-deep-research` });
       if (model?.info?.meta?.chat_type?.includes('t2i')) { processedModels.push({ ...model, id: `${model.id}-image` }); processedModels.push({ ...model, id: `${model.id}-image_edit` }); }
       if (model?.info?.meta?.chat_type?.includes('image_edit')) { if (!processedModels.some(m => m.id === `${model.id}-image_edit`)) processedModels.push({ ...model, id: `${model.id}-image_edit` }); }
     }
@@ -475,9 +563,9 @@ app.get('/v1/models', async (req, res) => {
         { id: 'qwen3-max-image_edit', object: 'model' },
         { id: 'qwen3-vl-plus', object: 'model' }
       ];
-      return res.json({ object: 'list', data: fallback });
+      return res.json({ object: 'list', data: [...fallback, ...listAliasModels()] });
     }
-    res.json({ object: 'list', data: processedModels });
+    res.json({ object: 'list', data: [...processedModels, ...listAliasModels()] });
   } catch (e) {
     // Mark identity as failed
     if (identity && identity.id !== 'legacy') {
@@ -488,12 +576,18 @@ app.get('/v1/models', async (req, res) => {
   }
 });
 
-// Helper function to execute request (supports retry)
-async function executeQwenRequest(qwenRequest, identity, usedFallback, wantStream, requestId, req, res) {
-  let apiUrl = QWEN_API_BASE_URL;
-  const requestChatId = qwenRequest.chat_id;
-  if (requestChatId) apiUrl = `${QWEN_API_BASE_URL}?chat_id=${requestChatId}`;
+// Set response headers describing which model served the request (must run before headers are flushed)
+// meta.requestedModel: model name sent by the client when it was an alias; meta.fallbackFrom: model that failed before a fallback answered
+function setModelHeaders(res, model, usedFallback, meta = {}) {
+  if (res.headersSent) return;
+  if (model) res.setHeader('X-Qwen-Model', model);
+  if (meta.requestedModel) res.setHeader('X-Qwen-Requested-Model', meta.requestedModel);
+  if (meta.fallbackFrom) res.setHeader('X-Qwen-Fallback-From', meta.fallbackFrom);
+  res.setHeader('X-Qwen-Vision-Fallback', usedFallback ? 'true' : 'false');
+}
 
+// Headers for the upstream chat completions endpoint
+function buildCompletionHeaders(identity, requestId, usedFallback = false) {
   const headers = {
     'Authorization': `Bearer ${identity.token}`,
     'Content-Type': 'application/json',
@@ -515,6 +609,44 @@ async function executeQwenRequest(qwenRequest, identity, usedFallback, wantStrea
     headers['sec-fetch-site'] = 'same-origin';
     headers['referer'] = 'https://chat.qwen.ai/';
   }
+  return headers;
+}
+
+// Error responses that were not thrown by the HTTP client keep their status for classification
+function assertUpstreamStatus(upstream) {
+  if (upstream.status < 400) return;
+  const error = new Error(`Upstream API returned error: ${upstream.status}`);
+  error.response = { status: upstream.status, headers: upstream.headers, data: null };
+  throw error;
+}
+
+// Apply the failure policy of an upstream error to the identity that made the request:
+// rate limits cool the identity down, client-side and content errors leave it alone, the rest count against its breaker
+// Returns the error class
+function applyFailurePolicy(identity, error, requestId) {
+  const errorClass = classifyUpstreamError(error);
+  if (errorClass === UPSTREAM_ERROR_CLASSES.RATE_LIMITED) {
+    identityPool.coolDownIdentity(identity, retryAfterMs(error));
+  } else if (getErrorPolicy(errorClass).penalize) {
+    identityPool.markIdentityFailure(identity, error);
+  } else {
+    logger.info('Upstream error not counted against identity', { requestId, identityId: identity.id, errorClass, error: error?.message });
+  }
+  return errorClass;
+}
+
+// Helper function to execute request (supports retry)
+// meta.model: resolved model id echoed in response bodies and headers; meta.tools: parse emulated tool calls;
+// meta.includeUsage: trailing usage chunk in streams; meta.adapter: output adapter for non-OpenAI formats;
+// meta.slots: the request's slot holder (see createSlotHolder), it already holds a slot on identity
+async function executeQwenRequest(qwenRequest, identity, usedFallback, wantStream, requestId, req, res, meta = {}) {
+  const responseModel = meta.model || qwenRequest.model;
+  const adapter = meta.adapter || null;
+  let apiUrl = QWEN_API_BASE_URL;
+  const requestChatId = qwenRequest.chat_id;
+  if (requestChatId) apiUrl = `${QWEN_API_BASE_URL}?chat_id=${requestChatId}`;
+
+  const headers = buildCompletionHeaders(identity, requestId, usedFallback);
 
   logger.info('Will call upstream API', {
     requestId,
@@ -522,57 +654,95 @@ async function executeQwenRequest(qwenRequest, identity, usedFallback, wantStrea
     identityId: identity.id
   });
 
+  // Local prompt estimate, used when upstream does not report usage
+  const promptTokens = estimateMessagesTokens(qwenRequest.messages);
+
+  // Upstream latency feeds the identity selection strategies
+  const startedAt = Date.now();
+
   if (wantStream) {
     // Stream: SSE forwarding
-    setSseHeaders(res, requestId);
     let cleanup = null;
-    const { safeWriteDone, cleanup: cleanupFn } = createKeepAlive(res);
-    cleanup = cleanupFn;
 
     try {
       const upstream = await http.post(apiUrl, qwenRequest, { headers, responseType: 'stream' });
       logger.info('Upstream response ready', { requestId, status: upstream.status, identityId: identity.id });
 
       // Check status code
-      if (upstream.status >= 400) {
-        identityPool.markIdentityFailure(identity, new Error(`HTTP ${upstream.status}`));
-        throw new Error(`Upstream API returned error: ${upstream.status}`);
-      }
-
-      // Mark success
-      identityPool.markIdentitySuccess(identity);
+      assertUpstreamStatus(upstream);
+      await assertUpstreamStream(upstream);
+
+      identityPool.recordLatency(identity, Date.now() - startedAt);
+      // The identity's outcome is known once the stream is over: an error event or a broken stream fails it, a clean end marks success
+      let streamFailed = false;
+      const failStream = (error) => {
+        if (streamFailed) return;
+        streamFailed = true;
+        applyFailurePolicy(identity, error, requestId);
+      };
 
-      const transformer = createQwenToOpenAIStreamTransformer();
+      // Headers are flushed only once upstream has accepted the request, so earlier failures can still be retried
+      setModelHeaders(res, responseModel, usedFallback, meta);
+      setSseHeaders(res, requestId);
+      const { safeWriteDone, cleanup: cleanupFn } = createKeepAlive(res, adapter ? { doneChunk: adapter.doneChunk } : undefined);
+      cleanup = cleanupFn;
+
+      const onComplete = meta.onTurnComplete ? ({ content, responseId }) => {
+        const message = { role: 'assistant', content };
+        if (meta.tools) {
+          const { content: text, toolCalls } = parseToolCalls(content);
+          if (toolCalls.length > 0) Object.assign(message, { content: text, tool_calls: toolCalls.map(({ index, ...call }) => call) });
+        }
+        meta.onTurnComplete({ message, responseId, identity, chatId: qwenRequest.chat_id });
+      } : null;
+      const onError = (body) => failStream(upstreamBodyError(body, upstream.status));
+      const transformer = createQwenToOpenAIStreamTransformer({ model: responseModel, includeUsage: !!meta.includeUsage, promptTokens, tools: !!meta.tools, onComplete, onError });
+      // Adapters re-encode the OpenAI chunk stream into their own event format
+      const output = adapter ? transformer.pipe(adapter.createStreamTransformer({ model: responseModel, promptTokens })) : transformer;
       upstream.data.on('error', (e)=>{
         logger.error('Upstream stream error', e);
-        identityPool.markIdentityFailure(identity, e);
+        failStream(e);
+        safeWriteDone();
       });
       transformer.on('error', (e)=>{ logger.error('Transformer error', e); });
-      upstream.data.on('end', () => { logger.info('Upstream data stream end', { requestId }); safeWriteDone(); });
-      upstream.data.on('close', () => { logger.info('Upstream data stream close', { requestId }); safeWriteDone(); });
-      transformer.on('end', () => { logger.info('Transformer end', { requestId }); safeWriteDone(); });
+      // Normal completion is finalized on transformer end, so its trailing usage chunk is written before [DONE]
+      upstream.data.on('end', () => { logger.info('Upstream data stream end', { requestId }); });
+      upstream.data.on('close', () => {
+        logger.info('Upstream data stream close', { requestId });
+        if (!upstream.data.readableEnded) safeWriteDone();
+      });
+      output.on('end', () => {
+        logger.info('Transformer end', { requestId });
+        if (!streamFailed) identityPool.markIdentitySuccess(identity);
+        safeWriteDone();
+      });
       req.on('close', () => { try { upstream.data.destroy(); } catch (_) {} safeWriteDone(); });
-      upstream.data.pipe(transformer).pipe(res, { end: false });
+      upstream.data.pipe(transformer);
+      output.pipe(res, { end: false });
       res.on('close', () => { if (cleanup) cleanup(); logger.info('Response close', { requestId }); });
       res.on('finish', () => { if (cleanup) cleanup(); logger.info('Response finish', { requestId }); });
       return { success: true };
     } catch (upstreamError) {
-      identityPool.markIdentityFailure(identity, upstreamError);
+      const errorClass = applyFailurePolicy(identity, upstreamError, requestId);
 
       // If upstream request fails but response headers have been sent, need to send error message to client
       if (res.headersSent) {
         logger.error('Upstream request failed but response headers already sent, sending error to client', { requestId, error: upstreamError.message });
         try {
           const errorMessage = `Upstream API request failed: ${upstreamError.message}`;
-          const errorChunk = {
-            id: `chatcmpl-${randomUUID()}`,
-            object: 'chat.completion.chunk',
-            created: Math.floor(Date.now()/1000),
-            model: 'qwen-proxy',
-            choices: [{ index: 0, delta: { content: errorMessage }, finish_reason: 'stop' }]
-          };
-          res.write(`data: ${JSON.stringify(errorChunk)}\n\n`);
-          res.write('data: [DONE]\n\n');
+          if (adapter) {
+            res.write(adapter.formatStreamError(errorMessage));
+          } else {
+            const errorChunk = {
+              id: `chatcmpl-${randomUUID()}`,
+              object: 'chat.completion.chunk',
+              created: Math.floor(Date.now()/1000),
+              model: responseModel,
+              choices: [{ index: 0, delta: { content: errorMessage }, finish_reason: 'stop' }]
+            };
+            res.write(`data: ${JSON.stringify(errorChunk)}\n\n`);
+            res.write('data: [DONE]\n\n');
+          }
           if (cleanup) cleanup();
           res.end();
         } catch (e) {
@@ -580,10 +750,10 @@ async function executeQwenRequest(qwenRequest, identity, usedFallback, wantStrea
           if (cleanup) cleanup();
           res.end();
         }
-        return { success: false, error: upstreamError, retryable: false };
+        return { success: false, error: upstreamError, retryable: false, errorClass };
       }
 
-      return { success: false, error: upstreamError, retryable: true };
+      return { success: false, error: upstreamError, retryable: true, errorClass };
     }
   } else {
     // Non-streaming: Some upstream still return incremental results in SSE format, so we prioritize stream collection here
@@ -592,60 +762,366 @@ async function executeQwenRequest(qwenRequest, identity, usedFallback, wantStrea
       logger.info('Upstream non-streaming (converted to stream aggregation) response ready', { requestId, status: upstream.status, identityId: identity.id });
 
       // Check status code
-      if (upstream.status >= 400) {
-        identityPool.markIdentityFailure(identity, new Error(`HTTP ${upstream.status}`));
-        throw new Error(`Upstream API returned error: ${upstream.status}`);
-      }
+      assertUpstreamStatus(upstream);
+
+      await assertUpstreamStream(upstream);
+      identityPool.recordLatency(identity, Date.now() - startedAt);
+
+      const { content, reasoning_content: reasoningContent, usage: upstreamUsage, image_urls: images, response_id: responseId, failed, error: upstreamError } = await collectOpenAICompletionFromSSE(upstream.data);
+      // An error event inside the stream fails the request like an HTTP error (classification, retry, fallback)
+      if (failed) throw upstreamBodyError(upstreamError, upstream.status);
 
       // Mark success
       identityPool.markIdentitySuccess(identity);
-
-      const content = await collectOpenAICompletionFromSSE(upstream.data);
+      const message = { role: 'assistant', content };
+      if (reasoningContent) message.reasoning_content = reasoningContent;
+      let finishReason = 'stop';
+      if (meta.tools) {
+        const { content: text, toolCalls } = parseToolCalls(content);
+        if (toolCalls.length > 0) {
+          message.content = text;
+          message.tool_calls = toolCalls.map(({ index, ...call }) => call);
+          finishReason = 'tool_calls';
+        }
+      }
       const openaiJson = {
         id: `chatcmpl-${randomUUID()}`,
         object: 'chat.completion',
         created: Math.floor(Date.now()/1000),
-        model: 'qwen-proxy',
-        choices: [{ index: 0, message: { role: 'assistant', content }, finish_reason: 'stop' }]
+        model: responseModel,
+        choices: [{ index: 0, message, finish_reason: finishReason }],
+        usage: buildUsage({ upstreamUsage, promptTokens, completionText: (reasoningContent || '') + content })
       };
-      return { success: true, data: openaiJson };
+      setModelHeaders(res, responseModel, usedFallback, meta);
+      if (meta.onTurnComplete) meta.onTurnComplete({ message, responseId, identity, chatId: qwenRequest.chat_id });
+      return { success: true, data: openaiJson, images };
     } catch (error) {
-      identityPool.markIdentityFailure(identity, error);
-      return { success: false, error, retryable: true };
+      const errorClass = applyFailurePolicy(identity, error, requestId);
+      return { success: false, error, retryable: true, errorClass };
     }
   }
 }
 
-app.post('/v1/chat/completions', async (req, res) => {
-  const requestId = randomUUID();
+// Every identity was at its concurrency limit: 429 (wait queue full) or 503 (wait timed out) with Retry-After
+// send(status, body, message) formats the error body (adapters reshape it)
+function sendSaturatedError(res, error, requestId, send = (status, body) => res.status(status).json(body)) {
+  res.setHeader('Retry-After', String(error.retryAfter));
+  return send(error.status, { error: error.message, code: 'identity_pool_saturated', requestId }, error.message);
+}
 
-  // Get identity (prioritize identity pool, otherwise use traditional method)
-  let identity = null;
-  let token = req.state?.qwenToken;
-  let ssxmodItna = req.state?.ssxmodItna;
+// Errors from taking an identity slot: saturation answers 429 / 503, a client that left while queued gets nothing
+// Returns true when the error was one of them
+function handleSlotError(res, error, requestId, send) {
+  if (error?.code === SLOT_WAIT_ABORTED) {
+    logger.info('Client disconnected while waiting for an identity slot', { requestId });
+    return true;
+  }
+  if (error?.code !== POOL_SATURATED) return false;
+  if (!res.headersSent) sendSaturatedError(res, error, requestId, send);
+  return true;
+}
 
-  // If identity pool is initialized and there's an available identity, use the pool
+// Concurrency slot of one client request, on one identity at a time (in-flight count for IDENTITY_MAX_CONCURRENCY and the strategies)
+// Taken before a chat is created or files are uploaded and held until the response closes; a client that disconnects
+// while queued leaves the queue. hold(identity, { pinned }) moves the slot to another identity (no-op when it is already there)
+// and resolves the identity that got it: a queued request that is not pinned runs on the first identity that frees up
+function createSlotHolder(res) {
+  const abort = new AbortController();
+  let held = null; // { identity, release }
+  const release = () => {
+    if (held) held.release();
+    held = null;
+  };
+  res.once('close', () => { abort.abort(); release(); });
+  return {
+    async hold(identity, { pinned = false } = {}) {
+      if (held?.identity === identity) return identity;
+      // Free the old slot first, so two requests swapping identities never wait on each other
+      release();
+      held = await identityPool.acquireSlot(identity, { signal: abort.signal, pinned });
+      return held.identity;
+    }
+  };
+}
+
+// Slot for work that outlives the response (video task submission); the wait ends when the client disconnects
+// Resolves { identity, release } (see identityPool.acquireSlot), the caller releases it
+async function acquireDetachedSlot(res, identity) {
+  const abort = new AbortController();
+  const onClose = () => abort.abort();
+  res.once('close', onClose);
+  try {
+    return await identityPool.acquireSlot(identity, { signal: abort.signal, pinned: true });
+  } finally {
+    res.off('close', onClose);
+  }
+}
+
+// Upstream failure with the status of its error class (see ERROR_POLICIES); rate limits pass upstream's Retry-After on
+// send(status, body, message) formats the error body (adapters reshape it)
+function sendUpstreamError(res, error, requestId, send = (status, body) => res.status(status).json(body)) {
+  const errorClass = classifyUpstreamError(error);
+  const retryAfter = retryAfterMs(error);
+  if (errorClass === UPSTREAM_ERROR_CLASSES.RATE_LIMITED && retryAfter !== null) res.setHeader('Retry-After', String(Math.ceil(retryAfter / 1000)));
+  // Stream bodies of failed streaming requests cannot be serialized
+  const data = typeof error?.response?.data?.pipe === 'function' ? null : error?.response?.data;
+  return send(upstreamErrorStatus(error, errorClass), { error: 'Upstream API request failed', code: errorClass, details: data || error.message, requestId }, error.message);
+}
+
+// Pick the identity for a request: pool identity when available, otherwise a legacy identity built from request state
+// Returns null when no Qwen token is available at all
+function acquireIdentity(req, requestId) {
   if (identityPool.initialized) {
-    identity = identityPool.getAvailableIdentity();
+    const identity = identityPool.getAvailableIdentity();
     if (identity) {
-      token = identity.token;
-      ssxmodItna = identity.cookie;
       logger.info('Using identity from pool', { identityId: identity.id, requestId });
+      return identity;
     }
   }
+  if (!req.state?.qwenToken) return null;
+  // If no identity was retrieved from pool, create temporary identity object (for compatibility)
+  return requestLegacyIdentity(req);
+}
+
+// Legacy identity built from the request's own credentials (client-side mode) or the configured token
+function requestLegacyIdentity(req) {
+  return { token: req.state?.qwenToken, cookie: req.state?.ssxmodItna || getCookie(), id: 'legacy' };
+}
 
-  // If no identity or token, return error
-  if (!token) {
-    return res.status(401).json({ error: 'Authentication failed. No available Qwen token.' });
+// Conversations referencing /v1/files uploads run on the identity that uploaded them, since OSS URLs may be account-bound
+// Returns { identity } (null when no file is referenced) or { status, error }
+function resolveFileOwnerIdentity(openAIRequest, req) {
+  const fileIds = collectFileIds(openAIRequest.messages);
+  if (fileIds.length === 0) return { identity: null };
+  const requester = requestLegacyIdentity(req);
+  const records = [];
+  for (const id of fileIds) {
+    const record = getFile(id);
+    if (!record || !isAccessibleBy(record, requester)) return { status: 400, error: `Invalid request: no such file: ${id}` };
+    // The signed OSS url cannot be renewed without the file bytes
+    if (isFileExpired(record)) return { status: 410, error: `File ${id} has expired, upload it again` };
+    records.push(record);
   }
+  const owners = new Set(records.map((record) => record.owner));
+  if (owners.size > 1) return { status: 400, error: 'Invalid request: referenced files were uploaded by different identities' };
+  const owner = records[0].owner;
+  if (owner === ownerOf(requester) && !requester.token) return { status: 401, error: 'Authentication failed. No available Qwen token.' };
+  const identity = resolveOwnerIdentity(owner, req);
+  if (!identity) return { status: 503, error: `Identity ${owner} that owns the referenced files is currently unavailable` };
+  return { identity };
+}
 
-  // If no identity was retrieved from pool, create temporary identity object (for compatibility)
+// Identity for an owner key (see ownerOf in lib/file-store.js), null when it is gone or unavailable
+function resolveOwnerIdentity(owner, req) {
+  const requester = requestLegacyIdentity(req);
+  if (owner === ownerOf(requester)) return requester.token ? requester : null;
+  const identity = identityPool.identities.find((candidate) => ownerOf(candidate) === owner);
+  return identity && identity.token && identity.isAvailable() ? identity : null;
+}
+
+// Sessions are opt-in: conversation_id on the request, or SESSION_MODE for history-hash / user matching
+// JSON-mode requests always start a new chat, their format instructions live in the system prompt
+function isSessionRequest(openAIRequest) {
+  return (!!openAIRequest.conversation_id || isSessionModeEnabled()) && !isJsonResponseFormat(openAIRequest.response_format);
+}
+
+// Find the session this request continues and the identity that owns its chat; null starts a new chat
+function lookupConversationSession(openAIRequest, req, pinnedIdentity) {
+  const sessionMode = isSessionModeEnabled();
+  const found = findSession(openAIRequest, { hashMatching: sessionMode, useUserField: sessionMode });
+  if (!found) return null;
+  if (pinnedIdentity && ownerOf(pinnedIdentity) !== found.session.owner) return null;
+  const identity = resolveOwnerIdentity(found.session.owner, req);
+  if (!identity) {
+    logger.info('Session identity unavailable, starting a new chat', { owner: found.session.owner });
+    return null;
+  }
+  return { ...found, identity };
+}
+
+// Execute on one identity; when upstream rejects its token (auth_expired) the token is refreshed right away
+// and the request is retried once on the same identity and chat (same account, new token)
+async function executeWithTokenRefresh(qwenRequest, identity, usedFallback, wantStream, requestId, req, res, meta) {
+  const result = await executeQwenRequest(qwenRequest, identity, usedFallback, wantStream, requestId, req, res, meta);
+  if (result.success || !result.retryable || result.errorClass !== UPSTREAM_ERROR_CLASSES.AUTH_EXPIRED) return result;
+  if (typeof identity.updateToken !== 'function') return result; // Legacy identities have no pool cookie to refresh from
+  logger.warn('Upstream rejected identity token, refreshing it', { requestId, identityId: identity.id });
+  if (!(await identityPool.refreshIdentityToken(identity))) return result;
+  return executeQwenRequest(qwenRequest, identity, usedFallback, wantStream, requestId, req, res, meta);
+}
+
+// Whether a failed result may succeed on another identity (see ERROR_POLICIES)
+function canRetryOnOtherIdentity(result) {
+  return !result.success && result.retryable && getErrorPolicy(result.errorClass).retryIdentity;
+}
+
+// Execute request, and on failures another identity may not hit, retry with other pool identities (recreating the chat for each)
+// Returns { result, identity } where identity is the one that produced the final result
+async function executeWithIdentityRetry(qwenRequest, identity, usedFallback, wantStream, requestId, req, res, meta) {
+  let result = await executeWithTokenRefresh(qwenRequest, identity, usedFallback, wantStream, requestId, req, res, meta);
+
+  // Try other identities (not when the request is pinned to the owner of its files or chat)
+  if (identityPool.initialized && identity.id !== 'legacy' && !meta?.pinnedIdentity) {
+    const maxRetries = 2; // Maximum 2 retries
+    for (let retry = 0; retry < maxRetries && canRetryOnOtherIdentity(result); retry++) {
+      const nextIdentity = identityPool.getAvailableIdentity();
+      if (!nextIdentity || nextIdentity.id === identity.id) {
+        break; // No other available identities
+      }
+
+      logger.info('Attempting to retry with backup identity', {
+        requestId,
+        oldIdentityId: identity.id,
+        newIdentityId: nextIdentity.id,
+        errorClass: result.errorClass,
+        retry: retry + 1
+      });
+
+      // The slot moves before the chat is created, so a saturated identity costs no upstream chat
+      try {
+        await meta.slots.hold(nextIdentity, { pinned: true });
+      } catch (error) {
+        logger.warn('Backup identity has no free slot, giving up retries', { requestId, identityId: nextIdentity.id, error: error.message });
+        break;
+      }
+
+      // Recreate chat (using new identity)
+      const newChatId = await createNewChat(nextIdentity.token, nextIdentity.cookie, qwenRequest.model, qwenRequest.messages?.[0]?.chat_type || 't2t');
+      if (newChatId) {
+        qwenRequest.chat_id = newChatId;
+      }
+
+      identity = nextIdentity;
+      result = await executeWithTokenRefresh(qwenRequest, identity, usedFallback, wantStream, requestId, req, res, meta);
+    }
+  }
+  return { result, identity };
+}
+
+// Validate non-streaming JSON output against response_format, retrying once with a repair prompt
+async function enforceResponseFormat(openAIRequest, completion, identity, usedFallback, requestId, req, res, meta) {
+  const responseFormat = openAIRequest.response_format;
+  const message = completion.choices[0].message;
+  if (message.tool_calls) return { success: true, data: completion };
+
+  const firstCheck = validateResponseFormat(message.content, responseFormat);
+  if (firstCheck.valid) {
+    message.content = firstCheck.content;
+    return { success: true, data: completion };
+  }
+
+  logger.warn('Response does not match response_format, retrying with repair prompt', { requestId, errors: firstCheck.errors.slice(0, 5) });
+  const repairRequest = {
+    ...openAIRequest,
+    stream: false,
+    messages: [
+      ...openAIRequest.messages,
+      { role: 'assistant', content: message.content },
+      { role: 'user', content: buildRepairPrompt(firstCheck.errors) }
+    ]
+  };
+  const { request: qwenRequest } = await transformOpenAIRequestToQwen(repairRequest, identity.token, identity.cookie);
+  const repaired = await executeQwenRequest(qwenRequest, identity, usedFallback, false, requestId, req, res, meta);
+  if (!repaired.success) {
+    return { success: false, errors: [`Repair request failed: ${repaired.error?.message || 'unknown error'}`], content: firstCheck.content };
+  }
+
+  const repairedMessage = repaired.data.choices[0].message;
+  const secondCheck = validateResponseFormat(repairedMessage.content, responseFormat);
+  if (!secondCheck.valid) return { success: false, errors: secondCheck.errors, content: secondCheck.content };
+
+  repairedMessage.content = secondCheck.content;
+  // Usage covers both attempts
+  const usage = repaired.data.usage;
+  if (usage && completion.usage) {
+    usage.prompt_tokens += completion.usage.prompt_tokens;
+    usage.completion_tokens += completion.usage.completion_tokens;
+    usage.total_tokens = usage.prompt_tokens + usage.completion_tokens;
+  }
+  return { success: true, data: repaired.data };
+}
+
+// Context limit for a model: configured override (exact id, then upstream id), else upstream metadata; null when unknown
+function resolveContextLimit(model) {
+  const limits = getModelContextLimits();
+  const configured = Number(limits[model] ?? limits[baseModelId(model)]);
+  return Number.isFinite(configured) && configured > 0 ? configured : getModelContextLength(model);
+}
+
+// Condense dropped turns with the summary model (summarize context strategy)
+async function summarizeTurns(messages, identity, requestId) {
+  const summaryRequest = { model: getContextSummaryModel(), stream: false, messages: [{ role: 'user', content: buildSummaryPrompt(messages) }] };
+  const { request: qwenRequest, chatId } = await transformOpenAIRequestToQwen(summaryRequest, identity.token, identity.cookie, { disableVisionFallback: true });
+  const upstream = await http.post(`${QWEN_API_BASE_URL}?chat_id=${chatId}`, { ...qwenRequest, stream: true, incremental_output: true }, { headers: buildCompletionHeaders(identity, requestId), responseType: 'stream' });
+  const { content, failed } = await collectOpenAICompletionFromSSE(upstream.data);
+  if (failed) throw new Error('Summary model returned an error');
+  logger.info('Summarized dropped conversation turns', { requestId, model: summaryRequest.model, messages: messages.length });
+  return content;
+}
+
+// Apply the context overflow strategy before a new chat is started
+// Returns { request } (messages possibly reduced) or { status, error, details } when the history cannot fit
+async function fitRequestContext(openAIRequest, identity, requestId) {
+  if (!Array.isArray(openAIRequest.messages)) return { request: openAIRequest };
+  const model = openAIRequest.model || 'qwen-max';
+  let limit = resolveContextLimit(model);
+  if (!limit) {
+    await ensureModelCatalog(identity);
+    limit = resolveContextLimit(model);
+  }
+  if (!limit) return { request: openAIRequest };
+  const strategy = getContextOverflowStrategy();
+  const fitted = await fitContextWindow(openAIRequest.messages, {
+    limit,
+    strategy,
+    tools: openAIRequest.tools,
+    reserve: Number(openAIRequest.max_completion_tokens ?? openAIRequest.max_tokens) || 0,
+    summarize: (dropped) => summarizeTurns(dropped, identity, requestId)
+  });
+  if (fitted.overflow) {
+    logger.warn('Request exceeds the model context window', { requestId, model, limit, tokens: fitted.tokens, strategy });
+    return { status: 400, error: 'Context length exceeded', details: `Request is about ${fitted.tokens} tokens (estimated), model ${model} accepts at most ${fitted.limit}` };
+  }
+  if (fitted.messages === openAIRequest.messages) return { request: openAIRequest };
+  logger.info('Conversation history reduced to fit the context window', { requestId, model, limit, strategy, dropped: fitted.dropped, summarized: fitted.summarized, tokens: fitted.tokens });
+  return { request: { ...openAIRequest, messages: fitted.messages } };
+}
+
+// Reject model / input combinations the model cannot serve before any chat is created; null when the request is fine
+async function checkRequestCapabilities(openAIRequest, identity) {
+  if (!Array.isArray(openAIRequest.messages)) return null;
+  await ensureModelCatalog(identity);
+  const model = openAIRequest.model || 'qwen-max';
+  const featureFlags = parseFeatureFlags(openAIRequest);
+  return checkModelCapabilities(model, {
+    chatType: isChatType(model, featureFlags),
+    thinkingEnabled: isThinkingEnabled(model, featureFlags.enableThinking, featureFlags.thinkingBudget).thinking_enabled,
+    hasImages: openAIRequest.messages.some(msg => hasImagesInMessage(msg)),
+    attachmentKinds: collectAttachmentKinds(openAIRequest.messages),
+    visionFallback: !!config.VISION_FALLBACK_MODEL
+  });
+}
+
+// Shared chat pipeline: identity selection, request transformation and upstream call with identity retry
+// adapter: optional output adapter (e.g. Anthropic) that reshapes responses and errors, null for OpenAI format
+async function proxyChatCompletion(req, res, requestBody, adapter = null) {
+  const requestId = randomUUID();
+  const sendError = (status, body, message = body.error) => res.status(status).json(adapter ? adapter.formatError(status, message) : body);
+  // Aliased model names (e.g. gpt-4o) are rewritten to their Qwen model and default parameters first
+  const { request: openAIRequest, alias } = applyModelAlias(requestBody);
+  if (alias) logger.info('Model alias resolved', { requestId, requested: alias.alias, model: alias.model });
+
+  // Get identity (owner of referenced files, then identity pool, otherwise traditional method)
+  const fileOwner = resolveFileOwnerIdentity(openAIRequest, req);
+  if (fileOwner.error) return sendError(fileOwner.status, { error: fileOwner.error });
+  const sessionsEnabled = isSessionRequest(openAIRequest);
+  const continuation = sessionsEnabled ? lookupConversationSession(openAIRequest, req, fileOwner.identity) : null;
+  let identity = continuation?.identity || fileOwner.identity || acquireIdentity(req, requestId);
   if (!identity) {
-    identity = { token, cookie: ssxmodItna || getCookie(), id: 'legacy' };
+    return sendError(401, { error: 'Authentication failed. No available Qwen token.' });
   }
 
   try {
-    const openAIRequest = req.body || {};
     const wantStream = openAIRequest.stream !== false; // Default streaming
 
     // Extract prompt information (first user message)
@@ -668,51 +1144,117 @@ app.post('/v1/chat/completions', async (req, res) => {
       }
     }
 
-    const { request: qwenRequest, chatId, usedFallback } = await transformOpenAIRequestToQwen(openAIRequest, token, identity.cookie);
+    const capabilityError = await checkRequestCapabilities(openAIRequest, identity);
+    if (capabilityError) {
+      logger.warn('Request not supported by model', { requestId, model: openAIRequest.model, reason: capabilityError });
+      return sendError(400, { error: 'Unsupported request for model', details: capabilityError, requestId }, capabilityError);
+    }
+
+    // Concurrency slot before any chat is created or file uploaded; a session chat or referenced files keep the request on its identity
+    const slots = createSlotHolder(res);
+    identity = await slots.hold(identity, { pinned: !!(continuation || fileOwner.identity) });
+
+    // New chats get the history fitted to the context window, a continued chat only receives the new turn
+    const prepareUpstream = async (request, session) => {
+      let transformed = session ? await transformOpenAIRequestToQwen(request, identity.token, identity.cookie, { session }) : null;
+      if (transformed?.continued) return { request, transformed };
+      const fit = await fitRequestContext(request, identity, requestId);
+      if (fit.error) return fit;
+      // A declined continuation has already started a new chat: keep it, and only redo the transform when the history was reduced
+      if (!transformed || fit.request !== request) transformed = await transformOpenAIRequestToQwen(fit.request, identity.token, identity.cookie, { chatId: transformed?.chatId });
+      return { request: fit.request, transformed };
+    };
+    const sendContextError = (fit) => sendError(fit.status, { error: fit.error, code: 'context_length_exceeded', details: fit.details, requestId }, `${fit.error}: ${fit.details}`);
+    // Referenced /v1/files uploads, a continued chat and files uploaded for this request all belong to one identity,
+    // so retries stay on it (a fallback model re-transforms, which uploads again with the identity's token)
+    const isPinned = (transformed) => !!fileOwner.identity || !!transformed.continued || !!transformed.uploaded;
+
+    let prepared = await prepareUpstream(openAIRequest, continuation && { ...continuation.session, prefixLength: continuation.prefixLength });
+    if (prepared.error) return sendContextError(prepared);
+    let upstreamRequest = prepared.request;
+    let { request: qwenRequest, chatId, usedFallback, resolvedModel, continued } = prepared.transformed;
+    // Session this turn extends (cleared when it turns out to be stale)
+    let previousSession = continuation?.session;
+    const execMeta = {
+      model: resolvedModel,
+      tools: isToolCallingRequested(openAIRequest),
+      includeUsage: !!openAIRequest.stream_options?.include_usage,
+      adapter,
+      slots,
+      requestedModel: alias?.alias,
+      pinnedIdentity: isPinned(prepared.transformed),
+      onTurnComplete: sessionsEnabled ? ({ message, responseId, identity: turnIdentity, chatId: turnChatId }) => {
+        saveSession({
+          openAIRequest,
+          assistantMessage: message,
+          owner: ownerOf(turnIdentity),
+          chatId: turnChatId,
+          responseId,
+          model: qwenRequest.model,
+          previous: previousSession,
+          useUserField: isSessionModeEnabled()
+        });
+      } : undefined
+    };
     logger.info('Transformation complete, preparing to request upstream', {
       chatId,
+      continued,
       usedFallback,
+      resolvedModel,
       model: qwenRequest?.model,
       messageCount: Array.isArray(qwenRequest?.messages) ? qwenRequest.messages.length : 0,
       chatType: qwenRequest?.messages?.[0]?.chat_type,
       identityId: identity.id,
       userPrompt: userPrompt || '(No text prompt)'
     });
-    if (!validateQwenRequest(qwenRequest)) return res.status(400).json({ error: 'Request format transformation failed' });
+    if (!validateQwenRequest(qwenRequest)) return sendError(400, { error: 'Request format transformation failed' });
 
     // Execute request (supports retry)
-    let result = await executeQwenRequest(qwenRequest, identity, usedFallback, wantStream, requestId, req, res);
-
-    // If failed and retryable, try using other identities
-    if (!result.success && result.retryable && identityPool.initialized && identity.id !== 'legacy') {
-      const maxRetries = 2; // Maximum 2 retries
-      for (let retry = 0; retry < maxRetries; retry++) {
-        const nextIdentity = identityPool.getAvailableIdentity();
-        if (!nextIdentity || nextIdentity.id === identity.id) {
-          break; // No other available identities
-        }
-
-        logger.info('Attempting to retry with backup identity', {
-          requestId,
-          oldIdentityId: identity.id,
-          newIdentityId: nextIdentity.id,
-          retry: retry + 1
-        });
-
-        // Recreate chat (using new identity)
-        const newChatId = await createNewChat(nextIdentity.token, nextIdentity.cookie, qwenRequest.model, qwenRequest.messages?.[0]?.chat_type || 't2t');
-        if (newChatId) {
-          qwenRequest.chat_id = newChatId;
-        }
-
-        identity = nextIdentity;
-        result = await executeQwenRequest(qwenRequest, identity, usedFallback, wantStream, requestId, req, res);
+    let execution = await executeWithIdentityRetry(qwenRequest, identity, usedFallback, wantStream, requestId, req, res, execMeta);
+    // A rejected continuation (client error, e.g. the chat was deleted upstream) means the session chat is stale: drop the session
+    // and replay the full history in a new chat. Transient failures would hit a new chat too, so the session chat is kept for them
+    const staleChat = [UPSTREAM_ERROR_CLASSES.CLIENT_ERROR, UPSTREAM_ERROR_CLASSES.OTHER].includes(execution.result.errorClass);
+    if (continued && !execution.result.success && execution.result.retryable && staleChat) {
+      logger.warn('Continuing session chat failed, retrying with full history', { requestId, chatId, error: execution.result.error?.message });
+      deleteSession(continuation.session);
+      previousSession = null;
+      prepared = await prepareUpstream(openAIRequest, null);
+      if (prepared.error) return sendContextError(prepared);
+      upstreamRequest = prepared.request;
+      ({ request: qwenRequest, chatId } = prepared.transformed);
+      execMeta.pinnedIdentity = isPinned(prepared.transformed);
+      execution = await executeWithIdentityRetry(qwenRequest, identity, usedFallback, wantStream, requestId, req, res, execMeta);
+    }
 
-        if (result.success) {
-          break; // Retry successful
-        }
+    // Move down the model's fallback chain while failures are rate limits, unavailable models or timeouts
+    let currentModel = openAIRequest.model || 'qwen-max';
+    for (const fallbackModel of getFallbackChain(currentModel)) {
+      const failed = execution.result;
+      if (failed.success || !failed.retryable || res.headersSent) break;
+      const errorClass = classifyUpstreamError(failed.error);
+      if (!shouldFallback(errorClass)) break;
+      const fallbackIdentity = execMeta.pinnedIdentity ? execution.identity : (acquireIdentity(req, requestId) || execution.identity);
+      const fallbackRequest = { ...openAIRequest, model: fallbackModel };
+      // Candidates that cannot serve this input (e.g. images on a text-only model) are skipped
+      const fallbackCapabilityError = await checkRequestCapabilities(fallbackRequest, fallbackIdentity);
+      if (fallbackCapabilityError) {
+        logger.info('Skipping fallback model', { requestId, model: fallbackModel, reason: fallbackCapabilityError });
+        continue;
       }
+      logger.warn('Switching to fallback model', { requestId, from: currentModel, to: fallbackModel, errorClass, error: failed.error?.message });
+      identity = await slots.hold(fallbackIdentity, { pinned: execMeta.pinnedIdentity });
+      prepared = await prepareUpstream(fallbackRequest, null);
+      if (prepared.error) return sendContextError(prepared);
+      upstreamRequest = prepared.request;
+      ({ request: qwenRequest, chatId, usedFallback, resolvedModel } = prepared.transformed);
+      execMeta.model = resolvedModel;
+      execMeta.pinnedIdentity = isPinned(prepared.transformed);
+      execMeta.fallbackFrom = currentModel;
+      currentModel = fallbackModel;
+      execution = await executeWithIdentityRetry(qwenRequest, identity, usedFallback, wantStream, requestId, req, res, execMeta);
     }
+    const result = execution.result;
+    identity = execution.identity;
 
     // Process result
     if (!result.success) {
@@ -721,14 +1263,340 @@ app.post('/v1/chat/completions', async (req, res) => {
 
     // Non-streaming returns data
     if (!wantStream && result.data) {
-      res.json(result.data);
+      if (isJsonResponseFormat(openAIRequest.response_format)) {
+        const enforced = await enforceResponseFormat(upstreamRequest, result.data, identity, usedFallback, requestId, req, res, execMeta);
+        if (!enforced.success) {
+          logger.error('Response format validation failed after repair attempt', null, { requestId, errors: enforced.errors.slice(0, 5) });
+          return sendError(502, { error: 'Response format validation failed', details: enforced.errors, content: enforced.content, requestId });
+        }
+        return res.json(adapter ? adapter.formatCompletion(enforced.data) : enforced.data);
+      }
+      res.json(adapter ? adapter.formatCompletion(result.data) : result.data);
     }
   } catch (e) {
-    const status = e?.response?.status || 500;
+    if (handleSlotError(res, e, requestId, sendError)) return;
+    if (e?.code === UPLOAD_FAILED) {
+      logger.warn('Rejecting request with a file that could not be uploaded', { requestId, error: e.message });
+      if (!res.headersSent) sendError(400, { error: e.message, code: 'upload_failed', requestId });
+      return;
+    }
+    const status = upstreamErrorStatus(e);
     const data = e?.response?.data;
     logger.error('Error in chat completion proxy', e, { requestId, status, dataPreview: typeof data === 'string' ? data.slice(0, 500) : JSON.stringify(data || {}).slice(0, 500) });
-    if (!res.headersSent) res.status(status).json({ error: 'Upstream API request failed', details: data || e.message, requestId });
+    if (!res.headersSent) sendUpstreamError(res, e, requestId, sendError);
+  }
+}
+
+app.post('/v1/chat/completions', (req, res) => proxyChatCompletion(req, res, req.body || {}));
+
+// Anthropic Messages API compatible endpoint
+app.post('/v1/messages', (req, res) => {
+  let openAIRequest;
+  try {
+    openAIRequest = convertAnthropicRequestToOpenAI(req.body || {});
+  } catch (e) {
+    return res.status(400).json(buildAnthropicError(400, e.message));
   }
+  return proxyChatCompletion(req, res, openAIRequest, anthropicAdapter);
+});
+
+// OpenAI Responses API endpoint
+app.post('/v1/responses', (req, res) => {
+  let openAIRequest;
+  try {
+    openAIRequest = convertResponsesRequestToOpenAI(req.body || {});
+  } catch (e) {
+    return res.status(400).json(buildResponsesError(400, e.message));
+  }
+  return proxyChatCompletion(req, res, openAIRequest, responsesAdapter);
+});
+
+// Run an image chat (t2i / image_edit) n times and collect the generated image URLs
+// slots: the request's slot holder, already holding a slot on identity
+async function runImageTasks(req, res, openAIRequest, n, identity, slots, requestId, transformOpts = {}) {
+  const urls = [];
+  let currentIdentity = identity;
+  for (let i = 0; i < n; i++) {
+    const { request: qwenRequest, usedFallback, resolvedModel, uploaded } = await transformOpenAIRequestToQwen(openAIRequest, currentIdentity.token, currentIdentity.cookie, transformOpts);
+    if (!validateQwenRequest(qwenRequest)) throw new Error('Request format transformation failed');
+    // Uploaded input images live in the uploading account's OSS space, so edits stay on that identity
+    const execution = await executeWithIdentityRetry(qwenRequest, currentIdentity, usedFallback, false, requestId, req, res, { model: resolvedModel, pinnedIdentity: uploaded, slots });
+    currentIdentity = execution.identity;
+    const result = execution.result;
+    if (!result.success) throw result.error;
+    const images = result.images?.length ? result.images : extractImageUrls(result.data?.choices?.[0]?.message?.content);
+    if (images.length === 0) {
+      logger.warn('Image task finished without an image', { requestId, content: String(result.data?.choices?.[0]?.message?.content || '').slice(0, 200) });
+    }
+    urls.push(...images);
+  }
+  return urls;
+}
+
+// Send OpenAI images response ({ created, data }) for generated URLs
+async function sendImagesResponse(res, urls, responseFormat, requestId) {
+  if (urls.length === 0) {
+    return res.status(502).json({ error: 'Upstream API returned no image', requestId });
+  }
+  const data = await buildImageData(urls, responseFormat);
+  return res.json({ created: Math.floor(Date.now()/1000), data });
+}
+
+// Image generation endpoint (backed by the t2i chat path)
+app.post('/v1/images/generations', async (req, res) => {
+  const requestId = randomUUID();
+  const body = req.body || {};
+  if (!body.prompt || typeof body.prompt !== 'string') {
+    return res.status(400).json({ error: 'Invalid request: prompt is required' });
+  }
+  const responseFormat = body.response_format || 'url';
+  if (!IMAGE_RESPONSE_FORMATS.includes(responseFormat)) {
+    return res.status(400).json({ error: `Invalid request: response_format must be one of ${IMAGE_RESPONSE_FORMATS.join(', ')}` });
+  }
+
+  const identity = acquireIdentity(req, requestId);
+  if (!identity) return res.status(401).json({ error: 'Authentication failed. No available Qwen token.' });
+
+  try {
+    const openAIRequest = {
+      model: withImageSuffix(resolveModelName(body.model), 'image'),
+      messages: [{ role: 'user', content: body.prompt }],
+      size: body.size,
+      stream: false
+    };
+    const n = normalizeImageCount(body.n);
+    logger.info('Image generation request', { requestId, model: openAIRequest.model, n, size: body.size, responseFormat });
+    const slots = createSlotHolder(res);
+    const slotIdentity = await slots.hold(identity);
+    const urls = await runImageTasks(req, res, openAIRequest, n, slotIdentity, slots, requestId);
+    await sendImagesResponse(res, urls, responseFormat, requestId);
+  } catch (e) {
+    if (handleSlotError(res, e, requestId)) return;
+    const status = upstreamErrorStatus(e);
+    logger.error('Error in image generation', e, { requestId, status });
+    if (!res.headersSent) sendUpstreamError(res, e, requestId);
+  }
+});
+
+// Multipart parser for /v1/images/edits (files kept in memory, they are forwarded to Qwen OSS)
+const imageEditUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 20 * 1024 * 1024, files: MAX_EDIT_INPUT_IMAGES + 1 }
+}).fields([{ name: 'image', maxCount: MAX_EDIT_INPUT_IMAGES }, { name: 'image[]', maxCount: MAX_EDIT_INPUT_IMAGES }, { name: 'mask', maxCount: 1 }]);
+
+// Wrap a multer handler so parse errors become 400 responses
+function multipartForm(upload) {
+  return (req, res, next) => upload(req, res, (err) => {
+    if (!err) return next();
+    logger.warn('Invalid multipart body', { path: req.path, error: err.message, code: err.code });
+    res.status(400).json({ error: `Invalid request: ${err.message}` });
+  });
+}
+
+// Upload a multipart file to Qwen OSS and build the chat file entry for it
+async function uploadImageFile(file, token) {
+  const mimeType = file.mimetype && file.mimetype !== 'application/octet-stream' ? file.mimetype : (mime.lookup(file.originalname || '') || 'image/png');
+  const uploaded = await uploadImageBuffer(file.buffer, mimeType, token);
+  return buildQwenFileEntry({ kind: 'image', url: uploaded.url, filename: uploaded.filename, mimeType, size: uploaded.size, fileId: uploaded.fileId });
+}
+
+// Image edit endpoint (multipart, backed by the image_edit chat path)
+app.post('/v1/images/edits', multipartForm(imageEditUpload), async (req, res) => {
+  const requestId = randomUUID();
+  const body = req.body || {};
+  const images = [...(req.files?.image || []), ...(req.files?.['image[]'] || [])];
+  const mask = req.files?.mask?.[0];
+  if (!body.prompt || typeof body.prompt !== 'string') {
+    return res.status(400).json({ error: 'Invalid request: prompt is required' });
+  }
+  if (images.length === 0) {
+    return res.status(400).json({ error: 'Invalid request: at least one image file is required' });
+  }
+  if (images.length + (mask ? 1 : 0) > MAX_EDIT_INPUT_IMAGES) {
+    return res.status(400).json({ error: `Invalid request: at most ${MAX_EDIT_INPUT_IMAGES} input images (mask included) are supported` });
+  }
+  const responseFormat = body.response_format || 'url';
+  if (!IMAGE_RESPONSE_FORMATS.includes(responseFormat)) {
+    return res.status(400).json({ error: `Invalid request: response_format must be one of ${IMAGE_RESPONSE_FORMATS.join(', ')}` });
+  }
+
+  const identity = acquireIdentity(req, requestId);
+  if (!identity) return res.status(401).json({ error: 'Authentication failed. No available Qwen token.' });
+
+  try {
+    // Slot first, the uploads already count as work on the identity
+    const slots = createSlotHolder(res);
+    const slotIdentity = await slots.hold(identity);
+    const files = [];
+    for (const file of mask ? [...images, mask] : images) files.push(await uploadImageFile(file, slotIdentity.token));
+    const openAIRequest = {
+      model: withImageSuffix(resolveModelName(body.model), 'image_edit'),
+      messages: [{ role: 'user', content: mask ? `${body.prompt}\n\n${MASK_INSTRUCTION}` : body.prompt }],
+      size: body.size,
+      stream: false
+    };
+    const n = normalizeImageCount(body.n);
+    logger.info('Image edit request', { requestId, model: openAIRequest.model, n, images: images.length, mask: !!mask, responseFormat });
+    const urls = await runImageTasks(req, res, openAIRequest, n, slotIdentity, slots, requestId, { files });
+    await sendImagesResponse(res, urls, responseFormat, requestId);
+  } catch (e) {
+    if (handleSlotError(res, e, requestId)) return;
+    const status = upstreamErrorStatus(e);
+    logger.error('Error in image edit', e, { requestId, status });
+    if (!res.headersSent) sendUpstreamError(res, e, requestId);
+  }
+});
+
+// Create the upstream t2v task for a video job, resolves { taskId, chatId }
+async function submitVideoTask(openAIRequest, identity, requestId) {
+  const { request: qwenRequest, chatId } = await transformOpenAIRequestToQwen(openAIRequest, identity.token, identity.cookie);
+  if (!validateQwenRequest(qwenRequest)) throw new Error('Request format transformation failed');
+  try {
+    const upstream = await http.post(`${QWEN_API_BASE_URL}?chat_id=${chatId}`, qwenRequest, { headers: buildCompletionHeaders(identity, requestId), responseType: 'text' });
+    const taskId = extractVideoTaskId(upstream.data);
+    if (!taskId) {
+      logger.error('No video task id in upstream response', 'missing task_id', { requestId, dataPreview: String(upstream.data || '').slice(0, 300) });
+      throw new Error('Upstream API did not return a video task');
+    }
+    identityPool.markIdentitySuccess(identity);
+    return { taskId, chatId };
+  } catch (e) {
+    applyFailurePolicy(identity, e, requestId);
+    throw e;
+  }
+}
+
+// Stream job snapshots as SSE until the job finishes
+function streamVideoJob(res, job, requestId) {
+  setSseHeaders(res, requestId);
+  const { safeWriteDone, cleanup } = createKeepAlive(res);
+  const send = (video) => { try { if (!res.writableEnded) res.write(`data: ${JSON.stringify(video)}\n\n`); } catch (_) {} };
+  let unsubscribe = null;
+  const finish = () => { if (unsubscribe) unsubscribe(); safeWriteDone(); cleanup(); };
+  send(toVideoObject(job));
+  if (isTerminal(job)) return finish();
+  unsubscribe = subscribeVideoJob(job.id, (video) => {
+    send(video);
+    if (video.status === 'completed' || video.status === 'failed') finish();
+  });
+  res.on('close', () => { if (unsubscribe) unsubscribe(); cleanup(); });
+}
+
+// Video generation: create an asynchronous job backed by the t2v chat path
+app.post('/v1/videos', async (req, res) => {
+  const requestId = randomUUID();
+  const body = req.body || {};
+  if (!body.prompt || typeof body.prompt !== 'string') {
+    return res.status(400).json({ error: 'Invalid request: prompt is required' });
+  }
+  const requested = acquireIdentity(req, requestId);
+  if (!requested) return res.status(401).json({ error: 'Authentication failed. No available Qwen token.' });
+
+  // The slot covers submitting the upstream task, polling the job afterwards does not hold it
+  let slot;
+  try {
+    slot = await acquireDetachedSlot(res, requested);
+  } catch (e) {
+    handleSlotError(res, e, requestId);
+    return;
+  }
+  const identity = slot.identity;
+  const model = withImageSuffix(resolveModelName(body.model), 'video');
+  const job = createVideoJob({ model, prompt: body.prompt, size: body.size, seconds: body.seconds, owner: ownerOf(identity) });
+  logger.info('Video job created', { requestId, jobId: job.id, model, size: body.size, identityId: identity.id });
+  const openAIRequest = { model, messages: [{ role: 'user', content: body.prompt }], size: body.size, stream: false };
+  runVideoJob(job, identity, (jobIdentity) => submitVideoTask(openAIRequest, jobIdentity, requestId).finally(slot.release));
+
+  if (body.stream === true) return streamVideoJob(res, job, requestId);
+  res.json(toVideoObject(job));
+});
+
+app.get('/v1/videos/:id', (req, res) => {
+  const job = getVideoJob(req.params.id);
+  if (!job || !isAccessibleBy(job, requestLegacyIdentity(req))) return res.status(404).json({ error: 'Video not found' });
+  if (req.query.stream === 'true') return streamVideoJob(res, job, randomUUID());
+  res.json(toVideoObject(job));
+});
+
+// Video content: proxy the generated file from the upstream CDN
+app.get('/v1/videos/:id/content', async (req, res) => {
+  const job = getVideoJob(req.params.id);
+  if (!job || !isAccessibleBy(job, requestLegacyIdentity(req))) return res.status(404).json({ error: 'Video not found' });
+  if (job.status !== 'completed' || !job.url) {
+    return res.status(409).json({ error: 'Video is not ready', status: job.status });
+  }
+  try {
+    const upstream = await http.get(job.url, { responseType: 'stream', timeout: 120000 });
+    res.setHeader('Content-Type', upstream.headers['content-type'] || 'video/mp4');
+    if (upstream.headers['content-length']) res.setHeader('Content-Length', upstream.headers['content-length']);
+    upstream.data.on('error', (e) => { logger.error('Video content stream error', e, { jobId: job.id }); res.destroy(e); });
+    upstream.data.pipe(res);
+  } catch (e) {
+    logger.error('Failed to fetch video content', e, { jobId: job.id });
+    if (!res.headersSent) res.status(502).json({ error: 'Failed to fetch video content', details: e.message });
+  }
+});
+
+// Files API: upload once to Qwen OSS, then reference by file_id in chat messages
+const fileUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: IMAGE_UPLOAD_CONFIG.maxFileSize, files: 1 }
+}).single('file');
+
+app.post('/v1/files', multipartForm(fileUpload), async (req, res) => {
+  const requestId = randomUUID();
+  const file = req.file;
+  if (!file) return res.status(400).json({ error: 'Invalid request: file is required' });
+
+  const requested = acquireIdentity(req, requestId);
+  if (!requested) return res.status(401).json({ error: 'Authentication failed. No available Qwen token.' });
+
+  try {
+    // The upload is work on the identity, and the file belongs to the identity that ends up holding the slot
+    const identity = await createSlotHolder(res).hold(requested);
+    const mimeType = file.mimetype && file.mimetype !== 'application/octet-stream' ? file.mimetype : (mime.lookup(file.originalname || '') || 'application/octet-stream');
+    const uploaded = await uploadFileBuffer(file.buffer, mimeType, identity.token, { filename: file.originalname });
+    const record = addFile({
+      filename: file.originalname || uploaded.filename,
+      purpose: req.body?.purpose,
+      bytes: file.size,
+      mimeType,
+      url: uploaded.url,
+      expiresAt: uploaded.expiresAt,
+      qwenFileId: uploaded.fileId,
+      identity
+    });
+    logger.info('File stored', { requestId, fileId: record.id, filename: record.filename, bytes: record.bytes, identityId: identity.id });
+    res.json(toFileObject(record));
+  } catch (e) {
+    if (handleSlotError(res, e, requestId)) return;
+    const status = e?.response?.status || 500;
+    logger.error('Error in file upload', e, { requestId, status });
+    res.status(status).json({ error: 'Upstream API request failed', details: e?.response?.data || e.message, requestId });
+  }
+});
+
+app.get('/v1/files', (req, res) => {
+  const requester = requestLegacyIdentity(req);
+  const data = listFiles({ purpose: req.query.purpose })
+    .filter((record) => isAccessibleBy(record, requester))
+    .map(toFileObject);
+  res.json({ object: 'list', data, has_more: false });
+});
+
+app.get('/v1/files/:id', (req, res) => {
+  const record = getFile(req.params.id);
+  if (!record || !isAccessibleBy(record, requestLegacyIdentity(req))) return res.status(404).json({ error: 'No such file' });
+  res.json(toFileObject(record));
+});
+
+// Removes the index entry only, the OSS object is managed by Qwen
+app.delete('/v1/files/:id', (req, res) => {
+  const record = getFile(req.params.id);
+  if (!record || !isAccessibleBy(record, requestLegacyIdentity(req))) return res.status(404).json({ error: 'No such file' });
+  deleteFile(record.id);
+  logger.info('File deleted', { fileId: record.id });
+  res.json({ id: record.id, object: 'file', deleted: true });
 });
 
 app.get('/health', (req, res) => {
@@ -753,7 +1621,7 @@ app.get('/health', (req, res) => {
       needsRefresh: tokenRefreshInfo.needsRefresh,
       reason: tokenRefreshInfo.reason
     },
-    identityPool: poolStatus
+    identityPool: { ...poolStatus, identities: identityPool.getAllIdentities() }
   });
 });
 
@@ -821,7 +1689,7 @@ app.listen(port, () => {
     console.log(`  🍪 Cookie files: ${cookieCount > 0 ? `✅ Configured (${cookieCount})` : '⚠️ Not configured'}`);
     if (cookieCount > 1) {
       const poolStatus = identityPool.getPoolStatus();
-      console.log(`  🔄 Load balancing: ✅ Enabled (${poolStatus.healthy}/${poolStatus.total} available)`);
+      console.log(`  🔄 Load balancing: ✅ Enabled (${poolStatus.healthy}/${poolStatus.total} available, strategy: ${poolStatus.strategy})`);
     }
     console.log(`  🐛 Debug mode: ${isDebugMode() ? '✅ Enabled' : '❌ Disabled'}`);
     console.log(`  🔒 Authentication mode: ${isServerMode() ? 'Server-side' : 'Client-side'}`);
@@ -830,6 +1698,12 @@ app.listen(port, () => {
   console.log('\n🔌 API Endpoints:');
   console.log('  📋 GET  /v1/models - Get model list');
   console.log('  💬 POST /v1/chat/completions - Chat completion');
+  console.log('  💬 POST /v1/messages - Anthropic Messages API');
+  console.log('  💬 POST /v1/responses - OpenAI Responses API');
+  console.log('  🎨 POST /v1/images/generations - Image generation');
+  console.log('  🖌️ POST /v1/images/edits - Image editing (multipart)');
+  console.log('  📎 POST /v1/files - File upload (GET/DELETE /v1/files/:id, GET /v1/files)');
+  console.log('  🎬 POST /v1/videos - Video generation job (GET /v1/videos/:id, /v1/videos/:id/content)');
   console.log('  ❤️  GET  /health - Health check');
     console.log('  🔄 POST /refresh-token - Manual token refresh');
   console.log('  🏠 GET  / - Homepage');
@@ -848,24 +1722,6 @@ async function initialize() {
   if (cookies.length > 1) {
     logger.info(`Detected ${cookies.length} cookies, enabling load balancing mode`);
     await identityPool.initialize();
-
-    // Start the token auto-refresh scheduler for identity pool
-    if (config.AUTO_REFRESH_TOKEN !== false) {
-      const intervalHours = Number(
-        process.env.TOKEN_REFRESH_INTERVAL_HOURS ||
-        config.TOKEN_REFRESH_INTERVAL_HOURS ||
-        24
-      );
-      const interval = intervalHours * 60 * 60 * 1000;
-
-      setInterval(async () => {
-        await identityPool.refreshExpiredTokens();
-      }, interval);
-
-      logger.info('Identity pool token auto-refresh scheduler started', {
-        checkInterval: `${intervalHours} hours`
-      });
-    }
   } else {
     logger.info('Using traditional single cookie mode');
     // Automatically acquire token (traditional mode)
@@ -877,6 +1733,30 @@ async function initialize() {
     }
   }
 
+  // Pool maintenance runs in both modes: a cookie reload can switch a single cookie deployment to the pool later
+  // Recover identities whose circuit breaker opened
+  identityPool.startHealthProbes();
+  // Apply cookie.txt edits (or SIGHUP) without a restart
+  identityPool.watchCookies();
+
+  // Start the token auto-refresh scheduler for identity pool
+  if (config.AUTO_REFRESH_TOKEN !== false) {
+    const intervalHours = Number(
+      process.env.TOKEN_REFRESH_INTERVAL_HOURS ||
+      config.TOKEN_REFRESH_INTERVAL_HOURS ||
+      24
+    );
+    const interval = intervalHours * 60 * 60 * 1000;
+
+    setInterval(async () => {
+      await identityPool.refreshExpiredTokens();
+    }, interval);
+
+    logger.info('Identity pool token auto-refresh scheduler started', {
+      checkInterval: `${intervalHours} hours`
+    });
+  }
+
   // Start scheduled deletion task: delete page 2 chat history every 1 hour
   // Only start deletion task when token is available
   if (getQwenToken() || (identityPool.initialized && identityPool.getPoolStatus().healthy > 0)) {
@@ -885,6 +1765,19 @@ async function initialize() {
     logger.warn('QWEN_TOKEN not configured, skipping scheduled deletion task startup');
   }
 
+  // Load the /v1/files index
+  initFileStore({ file: getFilesIndexFile() });
+
+  // Restore persisted video jobs, unfinished ones resume polling with the identity that created them
+  initVideoJobs({
+    file: getVideoJobsFile(),
+    resolveIdentity: (owner) => {
+      const legacy = { token: getQwenToken(), cookie: getCookie(), id: 'legacy' };
+      if (owner === ownerOf(legacy)) return legacy.token ? legacy : null;
+      return identityPool.identities.find((identity) => ownerOf(identity) === owner && identity.token) || null;
+    }
+  });
+
   // Start server
   startServer();
 }
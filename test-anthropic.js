@@ -0,0 +1,150 @@
+const assert = require('assert');
+const { runTests } = require('./test-runner');
+const {
+  convertAnthropicRequestToOpenAI,
+  convertOpenAICompletionToAnthropic,
+  createOpenAIToAnthropicStreamTransformer,
+  buildAnthropicError
+} = require('./lib/anthropic');
+
+function openAIChunk(delta, finishReason = null, usage) {
+  const chunk = { id: 'chatcmpl-1', object: 'chat.completion.chunk', choices: [{ index: 0, delta, finish_reason: finishReason }] };
+  if (usage) chunk.usage = usage;
+  return `data: ${JSON.stringify(chunk)}\n\n`;
+}
+
+function runTransformer(chunks, options) {
+  return new Promise((resolve, reject) => {
+    const transformer = createOpenAIToAnthropicStreamTransformer(options);
+    let out = '';
+    transformer.on('data', (d) => { out += d.toString('utf-8'); });
+    transformer.on('end', () => resolve(out));
+    transformer.on('error', reject);
+    for (const c of chunks) transformer.write(c);
+    transformer.end();
+  });
+}
+
+// Anthropic SSE output -> [{ event, data }]
+function parseEvents(output) {
+  return output.split('\n\n').filter(Boolean).map((block) => {
+    const [eventLine, dataLine] = block.split('\n');
+    return { event: eventLine.slice('event: '.length), data: JSON.parse(dataLine.slice('data: '.length)) };
+  });
+}
+
+async function testRequestConversion() {
+  const request = convertAnthropicRequestToOpenAI({
+    model: 'qwen3-max',
+    system: [{ type: 'text', text: 'Be brief.' }],
+    max_tokens: 256,
+    messages: [
+      { role: 'user', content: [{ type: 'text', text: 'Weather?' }, { type: 'image', source: { type: 'base64', media_type: 'image/jpeg', data: 'AAAA' } }] },
+      { role: 'assistant', content: [{ type: 'text', text: 'Checking.' }, { type: 'tool_use', id: 'toolu_1', name: 'get_weather', input: { city: 'Hangzhou' } }] },
+      { role: 'user', content: [{ type: 'tool_result', tool_use_id: 'toolu_1', content: [{ type: 'text', text: 'Sunny' }] }, { type: 'text', text: 'Thanks' }] }
+    ],
+    tools: [{ name: 'get_weather', description: 'Weather lookup', input_schema: { type: 'object', properties: { city: { type: 'string' } } } }],
+    tool_choice: { type: 'tool', name: 'get_weather' },
+    stream: true
+  });
+  assert.deepStrictEqual(request.messages, [
+    { role: 'system', content: 'Be brief.' },
+    { role: 'user', content: [{ type: 'text', text: 'Weather?' }, { type: 'image_url', image_url: { url: 'data:image/jpeg;base64,AAAA' } }] },
+    { role: 'assistant', content: 'Checking.', tool_calls: [{ id: 'toolu_1', type: 'function', function: { name: 'get_weather', arguments: '{"city":"Hangzhou"}' } }] },
+    { role: 'tool', tool_call_id: 'toolu_1', content: 'Sunny' },
+    { role: 'user', content: 'Thanks' }
+  ]);
+  assert.strictEqual(request.tools[0].function.name, 'get_weather');
+  assert.deepStrictEqual(request.tool_choice, { type: 'function', function: { name: 'get_weather' } });
+  assert.deepStrictEqual(request.stream_options, { include_usage: true });
+}
+
+async function testToolChoiceAndErrors() {
+  const base = { messages: [{ role: 'user', content: 'hi' }], tools: [{ name: 'f' }] };
+  assert.strictEqual(convertAnthropicRequestToOpenAI({ ...base, tool_choice: { type: 'any' } }).tool_choice, 'required');
+  assert.strictEqual(convertAnthropicRequestToOpenAI({ ...base, tool_choice: { type: 'none' } }).tool_choice, 'none');
+  assert.strictEqual(convertAnthropicRequestToOpenAI({ ...base, tool_choice: { type: 'auto' } }).tool_choice, 'auto');
+  const failedResult = convertAnthropicRequestToOpenAI({
+    messages: [{ role: 'user', content: [{ type: 'tool_result', tool_use_id: 't', content: 'boom', is_error: true }] }]
+  });
+  assert.deepStrictEqual(failedResult.messages, [{ role: 'tool', tool_call_id: 't', content: 'Error: boom' }]);
+  assert.throws(() => convertAnthropicRequestToOpenAI({ messages: [] }), /messages array is required/);
+}
+
+async function testExtendedThinking() {
+  const request = convertAnthropicRequestToOpenAI({ model: 'qwen3-max', thinking: { type: 'enabled', budget_tokens: 1024 }, messages: [{ role: 'user', content: 'hi' }] });
+  assert.strictEqual(request.model, 'qwen3-max');
+  assert.strictEqual(request.enable_thinking, true);
+  assert.strictEqual(request.thinking_budget, 1024);
+}
+
+async function testCompletionConversion() {
+  const message = convertOpenAICompletionToAnthropic({
+    model: 'qwen3-max',
+    choices: [{ message: { content: 'Calling.', reasoning_content: 'Need weather.', tool_calls: [{ id: 'call_1', function: { name: 'get_weather', arguments: '{"city":"Hangzhou"}' } }] }, finish_reason: 'tool_calls' }],
+    usage: { prompt_tokens: 12, completion_tokens: 5 }
+  });
+  assert.ok(message.id.startsWith('msg_'));
+  assert.strictEqual(message.model, 'qwen3-max');
+  assert.deepStrictEqual(message.content, [
+    { type: 'thinking', thinking: 'Need weather.', signature: '' },
+    { type: 'text', text: 'Calling.' },
+    { type: 'tool_use', id: 'call_1', name: 'get_weather', input: { city: 'Hangzhou' } }
+  ]);
+  assert.strictEqual(message.stop_reason, 'tool_use');
+  assert.deepStrictEqual(message.usage, { input_tokens: 12, output_tokens: 5 });
+  const empty = convertOpenAICompletionToAnthropic({ choices: [{ message: {}, finish_reason: 'length' }] });
+  assert.deepStrictEqual(empty.content, [{ type: 'text', text: '' }]);
+  assert.strictEqual(empty.stop_reason, 'max_tokens');
+}
+
+async function testErrorTypes() {
+  assert.deepStrictEqual(buildAnthropicError(400, 'bad'), { type: 'error', error: { type: 'invalid_request_error', message: 'bad' } });
+  assert.strictEqual(buildAnthropicError(401, 'x').error.type, 'authentication_error');
+  assert.strictEqual(buildAnthropicError(429, 'x').error.type, 'rate_limit_error');
+  assert.strictEqual(buildAnthropicError(502, 'x').error.type, 'api_error');
+}
+
+async function testStreamEvents() {
+  const chunks = [
+    openAIChunk({ reasoning_content: 'Hmm' }),
+    openAIChunk({ content: 'Hel' }),
+    openAIChunk({ content: 'lo' }),
+    openAIChunk({ tool_calls: [{ index: 0, id: 'call_1', type: 'function', function: { name: 'f', arguments: '{"a":1}' } }] }),
+    openAIChunk({}, 'tool_calls'),
+    `data: ${JSON.stringify({ choices: [], usage: { prompt_tokens: 9, completion_tokens: 4 } })}\n\n`,
+    'data: [DONE]\n\n'
+  ];
+  const events = parseEvents(await runTransformer(chunks.join('').match(/[\s\S]{1,10}/g), { model: 'qwen3-max', promptTokens: 3 }));
+  assert.deepStrictEqual(events.map((e) => e.event), [
+    'message_start',
+    'content_block_start', 'content_block_delta', 'content_block_stop',
+    'content_block_start', 'content_block_delta', 'content_block_delta', 'content_block_stop',
+    'content_block_start', 'content_block_delta', 'content_block_stop',
+    'message_delta', 'message_stop'
+  ]);
+  assert.strictEqual(events[0].data.message.model, 'qwen3-max');
+  assert.strictEqual(events[0].data.message.usage.input_tokens, 3);
+  assert.deepStrictEqual(events[1].data.content_block, { type: 'thinking', thinking: '' });
+  assert.deepStrictEqual(events[5].data.delta, { type: 'text_delta', text: 'Hel' });
+  assert.strictEqual(events[8].data.content_block.name, 'f');
+  assert.deepStrictEqual(events[9].data.delta, { type: 'input_json_delta', partial_json: '{"a":1}' });
+  assert.deepStrictEqual(events[11].data.delta, { stop_reason: 'tool_use', stop_sequence: null });
+  assert.deepStrictEqual(events[11].data.usage, { input_tokens: 9, output_tokens: 4 });
+}
+
+async function testStreamWithoutDoneStillFinishes() {
+  const events = parseEvents(await runTransformer([openAIChunk({ content: 'Hi' }, 'stop')], { model: 'qwen3-max' }));
+  assert.deepStrictEqual(events.slice(-3).map((e) => e.event), ['content_block_stop', 'message_delta', 'message_stop']);
+  assert.strictEqual(events[events.length - 2].data.delta.stop_reason, 'end_turn');
+}
+
+runTests('Anthropic adapter', [
+  testRequestConversion,
+  testToolChoiceAndErrors,
+  testExtendedThinking,
+  testCompletionConversion,
+  testErrorTypes,
+  testStreamEvents,
+  testStreamWithoutDoneStillFinishes
+]);
@@ -0,0 +1,187 @@
+const assert = require('assert');
+const { runTests } = require('./test-runner');
+
+// Hermetic configuration: a single placeholder cookie, no concurrency limit so only the half-open trial makes requests wait
+process.env.COOKIE = 'test-cookie=1';
+process.env.IDENTITY_MAX_CONCURRENCY = '0';
+process.env.IDENTITY_QUEUE_TIMEOUT_MS = '1000';
+
+const jwt = require('jsonwebtoken');
+const { identityPool, Identity, BREAKER_STATE, IDENTITY_STATUS, CIRCUIT_BREAKER_CONFIG } = require('./lib/identity-pool');
+const { logger } = require('./lib/logger');
+
+// Every failure logs a warning; keep the output to test results
+logger.info = () => {};
+logger.warn = () => {};
+
+function createIdentity(id = 'test-1') {
+  const identity = new Identity(id, `cookie-${id}`);
+  identity.token = jwt.sign({ id, exp: Math.floor(Date.now() / 1000) + 3600 }, 'test-secret');
+  return identity;
+}
+
+function failTimes(identity, times) {
+  for (let i = 0; i < times; i++) identity.markFailure(new Error(`failure ${i + 1}`));
+}
+
+// Let the open breaker's cooldown run out without waiting for it
+function expireCooldown(identity) {
+  identity.nextRetryAt = Date.now() - 1;
+}
+
+// Use the shared pool with only the given identities
+function usePool(identities) {
+  identityPool.identities = identities;
+  identityPool.currentIndex = 0;
+  identityPool.waiters = [];
+}
+
+async function testFailuresDegradeThenOpen() {
+  const identity = createIdentity();
+  failTimes(identity, CIRCUIT_BREAKER_CONFIG.degradedThreshold);
+  assert.strictEqual(identity.status, IDENTITY_STATUS.DEGRADED);
+  assert.strictEqual(identity.breakerState, BREAKER_STATE.CLOSED);
+  assert.ok(identity.isAvailable(), 'degraded identities keep serving');
+  failTimes(identity, CIRCUIT_BREAKER_CONFIG.failureThreshold - CIRCUIT_BREAKER_CONFIG.degradedThreshold);
+  assert.strictEqual(identity.breakerState, BREAKER_STATE.OPEN);
+  assert.strictEqual(identity.status, IDENTITY_STATUS.DOWN);
+  assert.strictEqual(identity.tripCount, 1);
+  assert.ok(identity.nextRetryAt - Date.now() <= CIRCUIT_BREAKER_CONFIG.baseCooldown);
+  assert.ok(!identity.isAvailable());
+}
+
+async function testSuccessWhileClosedDecaysFailures() {
+  const identity = createIdentity();
+  failTimes(identity, CIRCUIT_BREAKER_CONFIG.degradedThreshold);
+  identity.markSuccess();
+  assert.strictEqual(identity.failCount, CIRCUIT_BREAKER_CONFIG.degradedThreshold - 1);
+  assert.strictEqual(identity.status, IDENTITY_STATUS.HEALTHY);
+}
+
+async function testCooldownTurnsHalfOpen() {
+  const identity = createIdentity();
+  failTimes(identity, CIRCUIT_BREAKER_CONFIG.failureThreshold);
+  expireCooldown(identity);
+  assert.ok(identity.isAvailable(), 'one trial is allowed once the cooldown has passed');
+  assert.strictEqual(identity.breakerState, BREAKER_STATE.HALF_OPEN);
+}
+
+async function testTrialFailureReopensWithLongerCooldown() {
+  const identity = createIdentity();
+  failTimes(identity, CIRCUIT_BREAKER_CONFIG.failureThreshold);
+  expireCooldown(identity);
+  identity.refreshBreaker();
+  identity.markFailure(new Error('trial failed'));
+  assert.strictEqual(identity.breakerState, BREAKER_STATE.OPEN);
+  assert.strictEqual(identity.tripCount, 2);
+  const cooldown = identity.nextRetryAt - Date.now();
+  assert.ok(cooldown > CIRCUIT_BREAKER_CONFIG.baseCooldown && cooldown <= CIRCUIT_BREAKER_CONFIG.baseCooldown * 2);
+}
+
+async function testTrialSuccessCloses() {
+  const identity = createIdentity();
+  failTimes(identity, CIRCUIT_BREAKER_CONFIG.failureThreshold);
+  expireCooldown(identity);
+  identity.refreshBreaker();
+  identity.markSuccess();
+  assert.strictEqual(identity.breakerState, BREAKER_STATE.CLOSED);
+  assert.strictEqual(identity.status, IDENTITY_STATUS.HEALTHY);
+  assert.strictEqual(identity.failCount, 0);
+  assert.strictEqual(identity.tripCount, 0);
+  assert.strictEqual(identity.nextRetryAt, null);
+}
+
+async function testSelectionDoesNotClaimTrial() {
+  const identity = createIdentity();
+  usePool([identity]);
+  failTimes(identity, CIRCUIT_BREAKER_CONFIG.failureThreshold);
+  expireCooldown(identity);
+  assert.strictEqual(identityPool.getAvailableIdentity(), identity);
+  assert.strictEqual(identityPool.getAvailableIdentity(), identity, 'picking without running a request leaves the trial free');
+  assert.strictEqual(identity.trialStartedAt, null);
+}
+
+async function testSlotClaimsAndReleasesTrial() {
+  const identity = createIdentity();
+  usePool([identity]);
+  failTimes(identity, CIRCUIT_BREAKER_CONFIG.failureThreshold);
+  expireCooldown(identity);
+  identity.refreshBreaker();
+  const { release } = await identityPool.acquireSlot(identity);
+  assert.ok(identity.trialStartedAt, 'the running request holds the trial');
+  assert.ok(!identity.isAvailable(), 'only one trial at a time');
+  release();
+  assert.strictEqual(identity.inFlight, 0);
+  assert.strictEqual(identity.trialStartedAt, null, 'a trial that ended without an outcome is released');
+  assert.ok(identity.isAvailable());
+}
+
+async function testOnlyOneTrialRuns() {
+  const identity = createIdentity();
+  usePool([identity]);
+  failTimes(identity, CIRCUIT_BREAKER_CONFIG.failureThreshold);
+  expireCooldown(identity);
+  // Both requests picked the half-open identity before either started
+  assert.strictEqual(identityPool.getAvailableIdentity(), identity);
+  assert.strictEqual(identityPool.getAvailableIdentity(), identity);
+  const { release: releaseTrial } = await identityPool.acquireSlot(identity);
+  let second = null;
+  const queued = identityPool.acquireSlot(identity).then(({ release }) => { second = release; });
+  await new Promise((resolve) => setImmediate(resolve));
+  assert.strictEqual(second, null, 'the second request waits for the trial');
+  assert.strictEqual(identity.inFlight, 1);
+  identity.markSuccess();
+  releaseTrial();
+  await queued;
+  assert.strictEqual(identity.breakerState, BREAKER_STATE.CLOSED);
+  assert.strictEqual(identity.inFlight, 1, 'the closed identity serves the queued request');
+  second();
+}
+
+async function testQueuedRequestTimesOutWhileTrialRuns() {
+  const identity = createIdentity();
+  usePool([identity]);
+  failTimes(identity, CIRCUIT_BREAKER_CONFIG.failureThreshold);
+  expireCooldown(identity);
+  identity.refreshBreaker();
+  const { release: releaseTrial } = await identityPool.acquireSlot(identity);
+  const queued = identityPool.acquireSlot(identity);
+  await assert.rejects(queued, (error) => error.status === 503);
+  assert.strictEqual(identity.inFlight, 1, 'no second request ran while the trial was out');
+  releaseTrial();
+}
+
+async function testStaleTrialIsGivenUp() {
+  const identity = createIdentity();
+  failTimes(identity, CIRCUIT_BREAKER_CONFIG.failureThreshold);
+  expireCooldown(identity);
+  identity.refreshBreaker();
+  identity.claimTrial();
+  assert.ok(!identity.isAvailable());
+  identity.trialStartedAt = Date.now() - CIRCUIT_BREAKER_CONFIG.trialTimeout - 1;
+  assert.ok(identity.isAvailable(), 'a trial that never reported back no longer blocks the identity');
+}
+
+async function testRateLimitCooldownIsNotAFailure() {
+  const identity = createIdentity();
+  identity.coolDown(60 * 1000);
+  assert.ok(!identity.isAvailable());
+  assert.strictEqual(identity.failCount, 0);
+  assert.strictEqual(identity.breakerState, BREAKER_STATE.CLOSED);
+  identity.cooldownUntil = Date.now() - 1;
+  assert.ok(identity.isAvailable());
+}
+
+runTests('Circuit breaker', [
+  testFailuresDegradeThenOpen,
+  testSuccessWhileClosedDecaysFailures,
+  testCooldownTurnsHalfOpen,
+  testTrialFailureReopensWithLongerCooldown,
+  testTrialSuccessCloses,
+  testSelectionDoesNotClaimTrial,
+  testSlotClaimsAndReleasesTrial,
+  testOnlyOneTrialRuns,
+  testQueuedRequestTimesOutWhileTrialRuns,
+  testStaleTrialIsGivenUp,
+  testRateLimitCooldownIsNotAFailure
+]);
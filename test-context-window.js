@@ -0,0 +1,115 @@
+const assert = require('assert');
+const { runTests } = require('./test-runner');
+const { estimateRequestTokens, buildSummaryPrompt, fitContextWindow, CONTEXT_WINDOW_CONFIG } = require('./lib/context-window');
+const { estimateMessagesTokens } = require('./lib/usage');
+const { logger } = require('./lib/logger');
+
+// A failing summary logs a warning; keep the output to test results
+logger.warn = () => {};
+
+// System prompt, then three turns (the middle one with a tool call and its result)
+// Older messages carry `size` filler characters (100 ASCII characters estimate to 25 tokens)
+function conversation(size = 100) {
+  const LONG = 'x'.repeat(size);
+  return [
+    { role: 'system', content: 'sys' },
+    { role: 'user', content: `first ${LONG}` },
+    { role: 'assistant', content: `answer ${LONG}` },
+    { role: 'user', content: `second ${LONG}` },
+    { role: 'assistant', content: null, tool_calls: [{ id: 'c1', type: 'function', function: { name: 'f', arguments: '{}' } }] },
+    { role: 'tool', tool_call_id: 'c1', content: `result ${LONG}` },
+    { role: 'user', content: 'latest question' }
+  ];
+}
+
+async function testFitsUnchanged() {
+  const messages = conversation();
+  const result = await fitContextWindow(messages, { limit: 10000 });
+  assert.strictEqual(result.messages, messages);
+  assert.strictEqual(result.dropped, 0);
+  assert.strictEqual(result.tokens, estimateRequestTokens(messages));
+  const noLimit = await fitContextWindow(messages, {});
+  assert.strictEqual(noLimit.messages, messages);
+}
+
+async function testToolsCountAgainstLimit() {
+  const messages = [{ role: 'user', content: 'hi' }];
+  const tools = [{ type: 'function', function: { name: 'f', description: 'x'.repeat(100) } }];
+  assert.ok(estimateRequestTokens(messages, tools) > estimateMessagesTokens(messages) + 25);
+}
+
+async function testTruncateDropsWholeOldTurns() {
+  const messages = conversation();
+  const keepLastTwo = estimateRequestTokens([messages[0], ...messages.slice(3)]);
+  const result = await fitContextWindow(messages, { limit: keepLastTwo, strategy: 'truncate' });
+  assert.deepStrictEqual(result.messages, [messages[0], ...messages.slice(3)]);
+  assert.strictEqual(result.dropped, 2);
+  assert.strictEqual(result.summarized, false);
+
+  const onlyLatest = await fitContextWindow(messages, { limit: keepLastTwo - 1, strategy: 'truncate' });
+  assert.deepStrictEqual(onlyLatest.messages, [messages[0], messages[6]], 'tool results leave together with their call');
+  assert.strictEqual(onlyLatest.dropped, 5);
+}
+
+async function testReserveCountsAgainstLimit() {
+  const messages = conversation();
+  const total = estimateRequestTokens(messages);
+  assert.strictEqual((await fitContextWindow(messages, { limit: total })).dropped, 0);
+  assert.ok((await fitContextWindow(messages, { limit: total, reserve: 10 })).dropped > 0, 'max_tokens is reserved for the reply');
+}
+
+async function testRejectAndOverflow() {
+  const messages = conversation();
+  const total = estimateRequestTokens(messages);
+  assert.deepStrictEqual(await fitContextWindow(messages, { limit: total - 1, strategy: 'reject' }), { overflow: true, tokens: total, limit: total - 1 });
+  const tiny = await fitContextWindow(messages, { limit: 5, strategy: 'truncate' });
+  assert.strictEqual(tiny.overflow, true, 'the latest turn alone does not fit');
+}
+
+async function testSummarizeReplacesDroppedTurns() {
+  const messages = conversation(8000);
+  const limit = estimateRequestTokens([messages[0], messages[6]]) + CONTEXT_WINDOW_CONFIG.summaryTokenAllowance;
+  let summarized = null;
+  const result = await fitContextWindow(messages, {
+    limit,
+    strategy: 'summarize',
+    summarize: async (dropped) => { summarized = dropped; return 'They talked about x.'; }
+  });
+  assert.strictEqual(summarized.length, 5);
+  assert.strictEqual(result.summarized, true);
+  assert.strictEqual(result.messages.length, 3);
+  assert.strictEqual(result.messages[1].role, 'system');
+  assert.ok(result.messages[1].content.endsWith('\nThey talked about x.'));
+  assert.strictEqual(result.messages[2], messages[6]);
+}
+
+async function testFailedSummaryFallsBackToTruncation() {
+  const messages = conversation(8000);
+  const limit = estimateRequestTokens([messages[0], messages[6]]) + CONTEXT_WINDOW_CONFIG.summaryTokenAllowance;
+  const result = await fitContextWindow(messages, {
+    limit,
+    strategy: 'summarize',
+    summarize: async () => { throw new Error('summary model down'); }
+  });
+  assert.strictEqual(result.summarized, false);
+  assert.deepStrictEqual(result.messages, [messages[0], messages[6]]);
+}
+
+async function testSummaryPromptKeepsRecentMessages() {
+  const prompt = buildSummaryPrompt([{ role: 'user', content: 'old' }, { role: 'assistant', content: [{ type: 'text', text: 'reply' }, { type: 'image_url' }] }]);
+  assert.ok(prompt.includes('user: old\nassistant: reply [image_url]'));
+  const huge = Array.from({ length: 3 }, (_, i) => ({ role: 'user', content: `${i} ${'y'.repeat(CONTEXT_WINDOW_CONFIG.maxSummaryInputTokens * 2)}` }));
+  const trimmed = buildSummaryPrompt(huge);
+  assert.ok(!trimmed.includes('user: 0 ') && !trimmed.includes('user: 1 '), 'only the most recent part is summarized');
+}
+
+runTests('Context window', [
+  testFitsUnchanged,
+  testToolsCountAgainstLimit,
+  testTruncateDropsWholeOldTurns,
+  testReserveCountsAgainstLimit,
+  testRejectAndOverflow,
+  testSummarizeReplacesDroppedTurns,
+  testFailedSummaryFallsBackToTruncation,
+  testSummaryPromptKeepsRecentMessages
+]);
@@ -0,0 +1,102 @@
+const assert = require('assert');
+
+// Hermetic configuration: cookies come from the environment, so nothing reads cookie.txt
+process.env.COOKIE = 'test-cookie=1';
+
+const jwt = require('jsonwebtoken');
+const { runTests } = require('./test-runner');
+const { identityPool, Identity } = require('./lib/identity-pool');
+const { logger } = require('./lib/logger');
+
+// Every reload logs; keep the output to test results
+logger.info = () => {};
+
+function signToken(id) {
+  return jwt.sign({ id, exp: Math.floor(Date.now() / 1000) + 3600 }, 'test-secret');
+}
+
+// New identities get a token without calling upstream
+identityPool.createIdentity = async (id, cookie) => {
+  const identity = new Identity(id, cookie);
+  identity.token = signToken(id);
+  identityPool.knownIdentities.set(cookie, identity);
+  return identity;
+};
+
+async function usePool(cookies) {
+  identityPool.identities = [];
+  identityPool.retiring = [];
+  identityPool.waiters = [];
+  identityPool.knownIdentities = new Map();
+  identityPool.nextIdentityNumber = 1;
+  await identityPool.applyCookies(cookies);
+  return identityPool.identities;
+}
+
+async function testEnvCookiesDisableHotReload() {
+  const listeners = process.listenerCount('SIGHUP');
+  identityPool.watchCookies();
+  assert.strictEqual(process.listenerCount('SIGHUP'), listeners, 'SIGHUP would only re-read the same COOKIE value');
+}
+
+async function testUnchangedCookiesKeepTheirIdentity() {
+  const [first] = await usePool(['a', 'b']);
+  first.failCount = 2;
+  const result = await identityPool.applyCookies(['a', 'b', 'c']);
+  assert.deepStrictEqual(result, { added: ['identity-3'], removed: [] });
+  assert.strictEqual(identityPool.identities[0], first);
+  assert.strictEqual(first.failCount, 2);
+}
+
+async function testRemovedIdentityIsForgottenOnceRetired() {
+  const [, second] = await usePool(['a', 'b']);
+  await identityPool.applyCookies(['a']);
+  assert.ok(second.retiring);
+  assert.strictEqual(identityPool.knownIdentities.has('b'), false, 'an idle identity is retired and forgotten right away');
+  await identityPool.applyCookies(['a', 'b']);
+  assert.notStrictEqual(identityPool.identities[1], second);
+  assert.strictEqual(identityPool.identities[1].id, 'identity-3');
+}
+
+async function testDrainingIdentityIsRestored() {
+  const [, second] = await usePool(['a', 'b']);
+  const end = second.beginRequest();
+  await identityPool.applyCookies(['a']);
+  assert.deepStrictEqual(identityPool.retiring, [second]);
+  assert.strictEqual(identityPool.knownIdentities.get('b'), second);
+  await identityPool.applyCookies(['a', 'b']);
+  assert.strictEqual(identityPool.identities[1], second, 'a cookie added back while draining keeps its identity');
+  assert.strictEqual(second.retiring, false);
+  assert.strictEqual(identityPool.retiring.length, 0);
+  end();
+}
+
+async function testDrainedIdentityIsForgotten() {
+  const [, second] = await usePool(['a', 'b']);
+  const end = second.beginRequest();
+  await identityPool.applyCookies(['a']);
+  end();
+  identityPool.finishRetirement(second);
+  assert.strictEqual(identityPool.retiring.length, 0);
+  assert.strictEqual(identityPool.knownIdentities.has('b'), false);
+}
+
+async function testReplacedDuplicateDoesNotEvictTheServingIdentity() {
+  const [replaced] = await usePool(['a']);
+  // Two identities for one cookie (duplicate lines): the later one serves it
+  const serving = new Identity('identity-9', 'a');
+  identityPool.identities.push(serving);
+  const result = await identityPool.applyCookies(['a']);
+  assert.deepStrictEqual(result.removed, [replaced.id]);
+  assert.deepStrictEqual(identityPool.identities, [serving]);
+  assert.strictEqual(identityPool.knownIdentities.get('a'), serving);
+}
+
+runTests('Cookie reload', [
+  testEnvCookiesDisableHotReload,
+  testUnchangedCookiesKeepTheirIdentity,
+  testRemovedIdentityIsForgottenOnceRetired,
+  testDrainingIdentityIsRestored,
+  testDrainedIdentityIsForgotten,
+  testReplacedDuplicateDoesNotEvictTheServingIdentity
+]);
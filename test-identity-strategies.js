@@ -0,0 +1,103 @@
+const assert = require('assert');
+const { runTests } = require('./test-runner');
+const { config, getIdentityStrategy } = require('./lib/config');
+const { selectIdentity } = require('./lib/identity-strategies');
+const { Identity } = require('./lib/identity-pool');
+
+// Pool stand-in: the strategies only use the identity list and the round-robin cursor
+function createPool(count, weights = []) {
+  const identities = Array.from({ length: count }, (_, i) => new Identity(`identity-${i + 1}`, `cookie-${i + 1}`, weights[i] || 1));
+  return { identities, currentIndex: 0 };
+}
+
+function pickIds(strategy, pool, candidates, times) {
+  return Array.from({ length: times }, () => selectIdentity(strategy, candidates, pool).id);
+}
+
+// Temporarily replace Math.random with a fixed sequence
+function withRandom(values, fn) {
+  const original = Math.random;
+  let i = 0;
+  Math.random = () => values[i++ % values.length];
+  try {
+    return fn();
+  } finally {
+    Math.random = original;
+  }
+}
+
+async function testRoundRobin() {
+  const pool = createPool(3);
+  assert.deepStrictEqual(pickIds('round-robin', pool, pool.identities, 4), ['identity-1', 'identity-2', 'identity-3', 'identity-1']);
+  assert.strictEqual(selectIdentity('round-robin', [], pool), null);
+}
+
+async function testRoundRobinKeepsTurnsWhenIdentitiesDropOut() {
+  const pool = createPool(3);
+  const [a, b, c] = pool.identities;
+  assert.strictEqual(selectIdentity('round-robin', [a, b, c], pool), a);
+  // b is unavailable for one pick: c is next, and a still follows c
+  assert.strictEqual(selectIdentity('round-robin', [a, c], pool), c);
+  assert.strictEqual(selectIdentity('round-robin', [a, b, c], pool), a);
+  assert.strictEqual(selectIdentity('round-robin', [a, b, c], pool), b);
+}
+
+async function testLeastInflight() {
+  const pool = createPool(3);
+  const [a, b, c] = pool.identities;
+  a.inFlight = 2;
+  b.inFlight = 0;
+  c.inFlight = 1;
+  assert.strictEqual(selectIdentity('least-inflight', pool.identities, pool), b);
+  c.inFlight = 0;
+  assert.deepStrictEqual(pickIds('least-inflight', pool, pool.identities, 3), ['identity-3', 'identity-2', 'identity-3'], 'ties are broken round-robin');
+}
+
+async function testLatencyWeighted() {
+  const pool = createPool(2);
+  const [fast, slow] = pool.identities;
+  assert.deepStrictEqual(pickIds('latency', pool, pool.identities, 2), ['identity-1', 'identity-2'], 'round-robin without samples');
+  fast.recordLatency(100);
+  slow.recordLatency(900);
+  // Weights 1/100 and 1/900: fast takes 90% of the range
+  assert.strictEqual(withRandom([0.85], () => selectIdentity('latency', pool.identities, pool)), fast);
+  assert.strictEqual(withRandom([0.95], () => selectIdentity('latency', pool.identities, pool)), slow);
+  const picks = withRandom(Array.from({ length: 100 }, (_, i) => (i + 0.5) / 100), () => pickIds('latency', pool, pool.identities, 100));
+  assert.strictEqual(picks.filter((id) => id === 'identity-2').length, 10, 'the slow identity still gets some traffic');
+}
+
+async function testLatencyMovingAverage() {
+  const identity = new Identity('identity-1', 'cookie');
+  identity.recordLatency(1000);
+  assert.strictEqual(identity.latencyEwma, 1000);
+  identity.recordLatency(0);
+  assert.strictEqual(identity.latencyEwma, 700);
+  assert.strictEqual(identity.lastLatencyMs, 0);
+  assert.strictEqual(identity.latencySamples, 2);
+}
+
+async function testSmoothWeighted() {
+  const pool = createPool(3, [5, 1, 1]);
+  const picks = pickIds('weighted', pool, pool.identities, 7);
+  assert.deepStrictEqual(picks, ['identity-1', 'identity-1', 'identity-2', 'identity-1', 'identity-3', 'identity-1', 'identity-1'], 'picks are spread, not bursted');
+  assert.deepStrictEqual(pickIds('weighted', pool, pool.identities, 7), picks, 'the sequence repeats every total weight picks');
+}
+
+async function testUnknownStrategyFallsBack() {
+  const pool = createPool(2);
+  assert.deepStrictEqual(pickIds('random', pool, pool.identities, 2), ['identity-1', 'identity-2']);
+  config.IDENTITY_STRATEGY = 'LEAST-INFLIGHT';
+  assert.strictEqual(getIdentityStrategy(), 'least-inflight');
+  config.IDENTITY_STRATEGY = 'fastest';
+  assert.strictEqual(getIdentityStrategy(), 'round-robin');
+}
+
+runTests('Identity strategy', [
+  testRoundRobin,
+  testRoundRobinKeepsTurnsWhenIdentitiesDropOut,
+  testLeastInflight,
+  testLatencyWeighted,
+  testLatencyMovingAverage,
+  testSmoothWeighted,
+  testUnknownStrategyFallsBack
+]);
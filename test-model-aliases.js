@@ -0,0 +1,53 @@
+const assert = require('assert');
+const { runTests } = require('./test-runner');
+const { config } = require('./lib/config');
+const { resolveModelAlias, resolveModelName, applyModelAlias, listAliasModels } = require('./lib/model-aliases');
+
+config.MODEL_ALIASES = {
+  'gpt-4o*': 'qwen3-vl-plus',
+  'gpt-4o-mini': { model: 'qwen-turbo', params: { temperature: 0.2, enable_thinking: false } },
+  'claude-?-sonnet': 'qwen3-max',
+  'broken': { params: { temperature: 1 } }
+};
+
+async function testExactAliasWinsOverGlob() {
+  assert.deepStrictEqual(resolveModelAlias('gpt-4o-mini'), { alias: 'gpt-4o-mini', model: 'qwen-turbo', params: { temperature: 0.2, enable_thinking: false } });
+  assert.deepStrictEqual(resolveModelAlias('GPT-4O-MINI').model, 'qwen-turbo', 'names are case-insensitive');
+}
+
+async function testGlobPatterns() {
+  assert.deepStrictEqual(resolveModelAlias('gpt-4o-2024-08-06'), { alias: 'gpt-4o-2024-08-06', model: 'qwen3-vl-plus', params: {} });
+  assert.strictEqual(resolveModelName('gpt-4o'), 'qwen3-vl-plus');
+  assert.strictEqual(resolveModelName('claude-3-sonnet'), 'qwen3-max', '? matches one character');
+  assert.strictEqual(resolveModelName('claude-35-sonnet'), 'claude-35-sonnet');
+  assert.strictEqual(resolveModelName('gpt-4.1'), 'gpt-4.1', 'the dot in a name is literal');
+}
+
+async function testUnaliasedAndInvalidEntries() {
+  assert.strictEqual(resolveModelAlias('qwen3-max'), null);
+  assert.strictEqual(resolveModelAlias(''), null);
+  assert.strictEqual(resolveModelAlias('broken'), null, 'entries without a target model are ignored');
+  assert.strictEqual(resolveModelName('qwen3-max'), 'qwen3-max');
+}
+
+async function testApplyModelAlias() {
+  const request = { model: 'gpt-4o-mini', temperature: 0.9, messages: [] };
+  const { request: rewritten, alias } = applyModelAlias(request);
+  assert.strictEqual(alias.alias, 'gpt-4o-mini');
+  assert.deepStrictEqual(rewritten, { model: 'qwen-turbo', temperature: 0.9, enable_thinking: false, messages: [] }, 'fields set on the request win over alias defaults');
+  assert.strictEqual(request.model, 'gpt-4o-mini', 'the original request is not modified');
+  const plain = { model: 'qwen3-max' };
+  assert.deepStrictEqual(applyModelAlias(plain), { request: plain, alias: null });
+}
+
+async function testListAliasModels() {
+  assert.deepStrictEqual(listAliasModels(), [{ id: 'gpt-4o-mini', object: 'model', owned_by: 'qwen', alias_for: 'qwen-turbo' }]);
+}
+
+runTests('Model alias', [
+  testExactAliasWinsOverGlob,
+  testGlobPatterns,
+  testUnaliasedAndInvalidEntries,
+  testApplyModelAlias,
+  testListAliasModels
+]);
@@ -0,0 +1,99 @@
+const assert = require('assert');
+const { runTests } = require('./test-runner');
+const {
+  isJsonResponseFormat,
+  applyResponseFormat,
+  stripJsonFences,
+  validateSchema,
+  validateResponseFormat,
+  buildRepairPrompt
+} = require('./lib/response-format');
+
+const PERSON_FORMAT = {
+  type: 'json_schema',
+  json_schema: {
+    name: 'person',
+    schema: {
+      type: 'object',
+      properties: {
+        name: { type: 'string' },
+        age: { type: 'integer' },
+        tags: { type: 'array', items: { type: 'string' }, maxItems: 2 },
+        role: { $ref: '#/$defs/role' }
+      },
+      required: ['name', 'age'],
+      additionalProperties: false,
+      $defs: { role: { enum: ['admin', 'user'] } }
+    }
+  }
+};
+
+async function testDetectsJsonFormats() {
+  assert.ok(isJsonResponseFormat({ type: 'json_object' }));
+  assert.ok(isJsonResponseFormat(PERSON_FORMAT));
+  assert.ok(!isJsonResponseFormat({ type: 'text' }));
+  assert.ok(!isJsonResponseFormat(undefined));
+}
+
+async function testPromptIsAppendedToSystemMessage() {
+  const messages = [{ role: 'user', content: 'hi' }];
+  assert.strictEqual(applyResponseFormat(messages, { type: 'text' }), messages);
+  const added = applyResponseFormat(messages, { type: 'json_object' });
+  assert.strictEqual(added.length, 2);
+  assert.strictEqual(added[0].role, 'system');
+  assert.ok(added[0].content.includes('must be a JSON object'));
+  const existing = [{ role: 'system', content: [{ type: 'text', text: 'Be brief.' }] }, ...messages];
+  const merged = applyResponseFormat(existing, PERSON_FORMAT);
+  assert.strictEqual(merged.length, 2);
+  assert.ok(merged[0].content.startsWith('Be brief.\n\n# Output format'));
+  assert.ok(merged[0].content.includes('("person")'));
+  assert.strictEqual(existing[0].content[0].text, 'Be brief.', 'input messages are not modified');
+}
+
+async function testStripJsonFences() {
+  assert.strictEqual(stripJsonFences('```json\n{"a":1}\n```'), '{"a":1}');
+  assert.strictEqual(stripJsonFences('Here you go: {"a":[1,2]} hope it helps'), '{"a":[1,2]}');
+  assert.strictEqual(stripJsonFences('  [1, 2]  '), '[1, 2]');
+  assert.strictEqual(stripJsonFences(null), '');
+}
+
+async function testSchemaValidation() {
+  const schema = PERSON_FORMAT.json_schema.schema;
+  assert.deepStrictEqual(validateSchema({ name: 'Li', age: 30, tags: ['a'], role: 'admin' }, schema), []);
+  assert.deepStrictEqual(validateSchema({ name: 'Li', age: 30.5 }, schema), ['$.age: expected integer, got number']);
+  assert.deepStrictEqual(validateSchema({ age: 1 }, schema), ['$: missing required property "name"']);
+  assert.deepStrictEqual(validateSchema({ name: 'Li', age: 1, extra: true }, schema), ['$: unexpected property "extra"']);
+  assert.deepStrictEqual(validateSchema({ name: 'Li', age: 1, tags: ['a', 2, 'c'] }, schema), [
+    '$.tags[1]: expected string, got integer',
+    '$.tags: expected at most 2 items'
+  ]);
+  assert.deepStrictEqual(validateSchema({ name: 'Li', age: 1, role: 'guest' }, schema), ['$.role: must be one of ["admin","user"]']);
+  assert.deepStrictEqual(validateSchema(3, { anyOf: [{ type: 'string' }, { type: 'number' }] }), []);
+  assert.deepStrictEqual(validateSchema(true, { anyOf: [{ type: 'string' }, { type: 'number' }] }), ['$: does not match any allowed schema']);
+}
+
+async function testValidateResponseFormat() {
+  const valid = validateResponseFormat('```json\n{"name":"Li","age":3}\n```', PERSON_FORMAT);
+  assert.deepStrictEqual(valid, { valid: true, content: '{"name":"Li","age":3}', errors: [] });
+  const broken = validateResponseFormat('{"name": "Li",', PERSON_FORMAT);
+  assert.strictEqual(broken.valid, false);
+  assert.ok(broken.errors[0].startsWith('Invalid JSON'));
+  const notObject = validateResponseFormat('[1]', { type: 'json_object' });
+  assert.deepStrictEqual(notObject.errors, ['$: top-level value must be a JSON object']);
+}
+
+async function testRepairPrompt() {
+  const errors = Array.from({ length: 25 }, (_, i) => `error ${i}`);
+  const prompt = buildRepairPrompt(errors);
+  assert.ok(prompt.includes('- error 19'));
+  assert.ok(!prompt.includes('- error 20'), 'only the first 20 errors are listed');
+}
+
+runTests('Response format', [
+  testDetectsJsonFormats,
+  testPromptIsAppendedToSystemMessage,
+  testStripJsonFences,
+  testSchemaValidation,
+  testValidateResponseFormat,
+  testRepairPrompt
+]);
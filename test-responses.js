@@ -0,0 +1,140 @@
+const assert = require('assert');
+const { runTests } = require('./test-runner');
+const {
+  convertResponsesRequestToOpenAI,
+  convertOpenAICompletionToResponse,
+  createOpenAIToResponsesStreamTransformer,
+  buildResponsesError
+} = require('./lib/responses-api');
+
+function openAIChunk(delta, finishReason = null) {
+  return `data: ${JSON.stringify({ id: 'chatcmpl-1', object: 'chat.completion.chunk', choices: [{ index: 0, delta, finish_reason: finishReason }] })}\n\n`;
+}
+
+function runTransformer(chunks, options) {
+  return new Promise((resolve, reject) => {
+    const transformer = createOpenAIToResponsesStreamTransformer(options);
+    let out = '';
+    transformer.on('data', (d) => { out += d.toString('utf-8'); });
+    transformer.on('end', () => resolve(out));
+    transformer.on('error', reject);
+    for (const c of chunks) transformer.write(c);
+    transformer.end();
+  });
+}
+
+function parseEvents(output) {
+  return output.split('\n\n').filter(Boolean).map((block) => JSON.parse(block.split('\n')[1].slice('data: '.length)));
+}
+
+async function testStringInput() {
+  const request = convertResponsesRequestToOpenAI({ model: 'qwen3-max', instructions: 'Be brief.', input: 'Hi', stream: true });
+  assert.deepStrictEqual(request.messages, [{ role: 'system', content: 'Be brief.' }, { role: 'user', content: 'Hi' }]);
+  assert.strictEqual(request.stream, true);
+  assert.deepStrictEqual(request.stream_options, { include_usage: true });
+  assert.throws(() => convertResponsesRequestToOpenAI({ instructions: 'only a system prompt' }), /input is required/);
+  assert.strictEqual(convertResponsesRequestToOpenAI({ input: 'Hi', reasoning: { effort: 'high' } }).reasoning_effort, 'high');
+}
+
+async function testInputItems() {
+  const request = convertResponsesRequestToOpenAI({
+    input: [
+      { role: 'developer', content: 'Rules' },
+      { type: 'message', role: 'user', content: [{ type: 'input_text', text: 'Look: ' }, { type: 'input_image', image_url: 'https://example.com/a.png' }] },
+      { type: 'reasoning', summary: [] },
+      { type: 'function_call', call_id: 'call_1', name: 'a', arguments: '{}' },
+      { type: 'function_call', call_id: 'call_2', name: 'b', arguments: '{"x":1}' },
+      { type: 'function_call_output', call_id: 'call_1', output: { ok: true } },
+      { type: 'function_call_output', call_id: 'call_2', output: 'done' }
+    ]
+  });
+  assert.deepStrictEqual(request.messages, [
+    { role: 'system', content: 'Rules' },
+    { role: 'user', content: [{ type: 'text', text: 'Look: ' }, { type: 'image_url', image_url: { url: 'https://example.com/a.png' } }] },
+    {
+      role: 'assistant',
+      content: '',
+      tool_calls: [
+        { id: 'call_1', type: 'function', function: { name: 'a', arguments: '{}' } },
+        { id: 'call_2', type: 'function', function: { name: 'b', arguments: '{"x":1}' } }
+      ]
+    },
+    { role: 'tool', tool_call_id: 'call_1', content: '{"ok":true}' },
+    { role: 'tool', tool_call_id: 'call_2', content: 'done' }
+  ]);
+}
+
+async function testToolsAndTextFormat() {
+  const request = convertResponsesRequestToOpenAI({
+    input: 'Hi',
+    tools: [{ type: 'function', name: 'f', parameters: { type: 'object' } }, { type: 'web_search' }],
+    tool_choice: { type: 'function', name: 'f' },
+    text: { format: { type: 'json_schema', name: 'out', schema: { type: 'object' }, strict: true } }
+  });
+  assert.deepStrictEqual(request.tools, [{ type: 'function', function: { name: 'f', description: '', parameters: { type: 'object' } } }]);
+  assert.deepStrictEqual(request.tool_choice, { type: 'function', function: { name: 'f' } });
+  assert.deepStrictEqual(request.response_format, { type: 'json_schema', json_schema: { name: 'out', schema: { type: 'object' }, strict: true } });
+  assert.deepStrictEqual(convertResponsesRequestToOpenAI({ input: 'Hi', text: { format: { type: 'json_object' } } }).response_format, { type: 'json_object' });
+}
+
+async function testCompletionConversion() {
+  const response = convertOpenAICompletionToResponse({
+    created: 100,
+    model: 'qwen3-max',
+    choices: [{ message: { content: 'Answer', reasoning_content: 'Think', tool_calls: [{ id: 'call_1', function: { name: 'f', arguments: '{}' } }] } }],
+    usage: { prompt_tokens: 4, completion_tokens: 2, total_tokens: 6 }
+  });
+  assert.ok(response.id.startsWith('resp_'));
+  assert.strictEqual(response.object, 'response');
+  assert.strictEqual(response.status, 'completed');
+  assert.strictEqual(response.created_at, 100);
+  assert.deepStrictEqual(response.output.map((item) => item.type), ['reasoning', 'message', 'function_call']);
+  assert.strictEqual(response.output[2].call_id, 'call_1');
+  assert.strictEqual(response.output_text, 'Answer');
+  assert.deepStrictEqual(response.usage, { input_tokens: 4, output_tokens: 2, total_tokens: 6 });
+}
+
+async function testErrorBody() {
+  assert.deepStrictEqual(buildResponsesError(400, 'bad'), { error: { message: 'bad', type: 'invalid_request_error', param: null, code: null } });
+  assert.strictEqual(buildResponsesError(401, 'x').error.type, 'authentication_error');
+  assert.strictEqual(buildResponsesError(500, 'x').error.type, 'api_error');
+}
+
+async function testStreamEvents() {
+  const chunks = [
+    openAIChunk({ reasoning_content: 'Th' }),
+    openAIChunk({ reasoning_content: 'ink' }),
+    openAIChunk({ content: 'Ans' }),
+    openAIChunk({ content: 'wer' }),
+    openAIChunk({ tool_calls: [{ index: 0, id: 'call_1', type: 'function', function: { name: 'f', arguments: '{"a":1}' } }] }),
+    `data: ${JSON.stringify({ choices: [], usage: { prompt_tokens: 4, completion_tokens: 2, total_tokens: 6 } })}\n\n`,
+    'data: [DONE]\n\n'
+  ];
+  const events = parseEvents(await runTransformer(chunks.join('').match(/[\s\S]{1,9}/g), { model: 'qwen3-max' }));
+  assert.deepStrictEqual(events.map((e) => e.type), [
+    'response.created', 'response.in_progress',
+    'response.output_item.added', 'response.reasoning_text.delta', 'response.reasoning_text.delta',
+    'response.reasoning_text.done', 'response.output_item.done',
+    'response.output_item.added', 'response.content_part.added', 'response.output_text.delta', 'response.output_text.delta',
+    'response.output_text.done', 'response.content_part.done', 'response.output_item.done',
+    'response.output_item.added', 'response.function_call_arguments.delta', 'response.function_call_arguments.done', 'response.output_item.done',
+    'response.completed'
+  ]);
+  assert.deepStrictEqual(events.map((e) => e.sequence_number), events.map((_, i) => i));
+  const completed = events[events.length - 1].response;
+  assert.strictEqual(completed.status, 'completed');
+  assert.strictEqual(completed.model, 'qwen3-max');
+  assert.strictEqual(completed.output_text, 'Answer');
+  assert.deepStrictEqual(completed.output.map((item) => item.type), ['reasoning', 'message', 'function_call']);
+  assert.strictEqual(completed.output[0].content[0].text, 'Think');
+  assert.deepStrictEqual(completed.usage, { input_tokens: 4, output_tokens: 2, total_tokens: 6 });
+}
+
+runTests('Responses adapter', [
+  testStringInput,
+  testInputItems,
+  testToolsAndTextFormat,
+  testCompletionConversion,
+  testErrorBody,
+  testStreamEvents
+]);
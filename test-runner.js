@@ -0,0 +1,53 @@
+// Unit Test Runner: Shared helpers for the test-*.js suites; run directly to execute every suite in turn
+const fs = require('fs');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+// A suite that has not finished after this long is reported as failed
+const SUITE_TIMEOUT = 60 * 1000;
+
+function log(title, payload) {
+  const ts = new Date().toISOString();
+  console.log(`[${ts}] ${title}`, payload !== undefined ? payload : '');
+}
+
+// Run the test functions of one suite in order and exit with the result (non-zero when any failed)
+async function runTests(suite, tests) {
+  let failed = 0;
+  for (const test of tests) {
+    try {
+      await test();
+      log(`${test.name} passed`);
+    } catch (e) {
+      failed += 1;
+      console.error(`${test.name} failed ❌`, e?.message || e);
+    }
+  }
+  if (failed) {
+    console.error(`${suite} tests failed ❌ (${failed}/${tests.length})`);
+    process.exit(1);
+  }
+  log(`All ${suite} tests passed ✅`);
+  process.exit(0);
+}
+
+// Every test-*.js suite next to this file, each in its own process so module state does not leak between suites
+function runAllSuites() {
+  const suites = fs.readdirSync(__dirname)
+    .filter((name) => /^test-.+\.js$/.test(name) && name !== path.basename(__filename))
+    .sort();
+  const failed = suites.filter((name) => {
+    log(`Running ${name}`);
+    const result = spawnSync(process.execPath, [path.join(__dirname, name)], { stdio: 'inherit', timeout: SUITE_TIMEOUT });
+    return result.status !== 0;
+  });
+  if (failed.length) {
+    console.error(`Failed suites ❌: ${failed.join(', ')}`);
+    process.exit(1);
+  }
+  log(`All ${suites.length} suites passed ✅`);
+}
+
+if (require.main === module) runAllSuites();
+
+module.exports = { log, runTests };
@@ -0,0 +1,116 @@
+const assert = require('assert');
+const { runTests } = require('./test-runner');
+const { SESSION_CONFIG, hashMessages, findSession, saveSession, deleteSession } = require('./lib/sessions');
+
+const FIRST_TURN = [{ role: 'system', content: 'Be brief.' }, { role: 'user', content: 'Hi' }];
+const REPLY = { role: 'assistant', content: 'Hello!' };
+
+// Record the first turn as the proxy does after a completed response
+function saveFirstTurn(overrides = {}) {
+  return saveSession({
+    openAIRequest: { messages: FIRST_TURN, ...overrides },
+    assistantMessage: REPLY,
+    owner: 'pool:abc',
+    chatId: 'chat-1',
+    responseId: 'resp-1',
+    model: 'qwen3-max'
+  });
+}
+
+function continuation(extra = {}) {
+  return { messages: [...FIRST_TURN, REPLY, { role: 'user', content: 'And then?' }], ...extra };
+}
+
+async function testHashIgnoresToolCallIdsAndWhitespace() {
+  const call = (id) => ({ role: 'assistant', content: null, tool_calls: [{ id, function: { name: 'f', arguments: '{}' } }] });
+  assert.strictEqual(hashMessages([call('call_1')]), hashMessages([call('call_2')]));
+  assert.strictEqual(hashMessages([{ role: 'user', content: ' Hi ' }]), hashMessages([{ role: 'user', content: [{ type: 'text', text: 'Hi' }] }]));
+  assert.notStrictEqual(hashMessages([{ role: 'user', content: 'Hi' }]), hashMessages([{ role: 'assistant', content: 'Hi' }]));
+}
+
+async function testHashMatchedContinuation() {
+  const saved = saveFirstTurn();
+  assert.strictEqual(findSession(continuation()), null, 'hash matching is opt-in');
+  const found = findSession(continuation(), { hashMatching: true });
+  assert.strictEqual(found.session, saved);
+  assert.strictEqual(found.prefixLength, 3, 'everything up to the last assistant message is already upstream');
+  assert.strictEqual(found.session.chatId, 'chat-1');
+  assert.strictEqual(found.session.parentId, 'resp-1');
+}
+
+async function testNextTurnMovesHashKey() {
+  const first = saveFirstTurn();
+  const second = saveSession({
+    openAIRequest: continuation(),
+    assistantMessage: { role: 'assistant', content: 'Then this.' },
+    owner: 'pool:abc',
+    chatId: 'chat-1',
+    responseId: 'resp-2',
+    model: 'qwen3-max',
+    previous: first
+  });
+  assert.notStrictEqual(second.key, first.key);
+  assert.strictEqual(second.turns, 2);
+  assert.strictEqual(findSession(continuation(), { hashMatching: true }), null, 'the previous turn no longer matches');
+  const third = { messages: [...continuation().messages, { role: 'assistant', content: 'Then this.' }, { role: 'user', content: 'Ok' }] };
+  assert.strictEqual(findSession(third, { hashMatching: true }).session, second);
+}
+
+async function testExplicitConversationId() {
+  const saved = saveFirstTurn({ conversation_id: 'conv-1' });
+  assert.strictEqual(saved.key, 'c:conv-1');
+  assert.strictEqual(findSession(continuation({ conversation_id: 'conv-1' })).session, saved);
+  const edited = continuation({ conversation_id: 'conv-1' });
+  edited.messages[1] = { role: 'user', content: 'Hi, edited' };
+  assert.strictEqual(findSession(edited), null, 'a diverged history starts a new chat');
+}
+
+async function testUserFieldIsOptIn() {
+  saveFirstTurn({ user: 'alice' });
+  assert.strictEqual(findSession(continuation({ user: 'alice' }), { useUserField: false }), null);
+  const saved = saveSession({
+    openAIRequest: { messages: FIRST_TURN, user: 'alice' },
+    assistantMessage: REPLY,
+    owner: 'pool:abc',
+    chatId: 'chat-2',
+    responseId: 'resp-1',
+    model: 'qwen3-max',
+    useUserField: true
+  });
+  assert.strictEqual(saved.key, 'u:alice');
+  assert.strictEqual(findSession(continuation({ user: 'alice' }), { useUserField: true }).session.chatId, 'chat-2');
+}
+
+async function testNoContinuationWithoutNewTurn() {
+  saveFirstTurn();
+  assert.strictEqual(findSession({ messages: FIRST_TURN }, { hashMatching: true }), null, 'no assistant message yet');
+  assert.strictEqual(findSession({ messages: [...FIRST_TURN, REPLY] }, { hashMatching: true }), null, 'nothing new after the assistant message');
+  assert.strictEqual(saveSession({ openAIRequest: { messages: FIRST_TURN }, assistantMessage: REPLY, chatId: null, responseId: 'r' }), null);
+}
+
+async function testExpiredAndDeletedSessions() {
+  const saved = saveFirstTurn();
+  saved.updatedAt = Date.now() - SESSION_CONFIG.ttl - 1;
+  assert.strictEqual(findSession(continuation(), { hashMatching: true }), null);
+  const fresh = saveFirstTurn();
+  deleteSession(fresh);
+  assert.strictEqual(findSession(continuation(), { hashMatching: true }), null);
+}
+
+async function testDeletingAReplacedSessionKeepsTheNewerOne() {
+  const stale = saveFirstTurn({ conversation_id: 'conv-2' });
+  const newer = saveFirstTurn({ conversation_id: 'conv-2' });
+  deleteSession(stale);
+  assert.strictEqual(findSession(continuation({ conversation_id: 'conv-2' })).session, newer);
+}
+
+runTests('Conversation session', [
+  testHashIgnoresToolCallIdsAndWhitespace,
+  testHashMatchedContinuation,
+  testNextTurnMovesHashKey,
+  testExplicitConversationId,
+  testUserFieldIsOptIn,
+  testNoContinuationWithoutNewTurn,
+  testExpiredAndDeletedSessions,
+  testDeletingAReplacedSessionKeepsTheNewerOne
+]);
@@ -0,0 +1,180 @@
+const assert = require('assert');
+
+// Hermetic configuration: one slot per identity, two queue places, the shortest allowed wait
+process.env.COOKIE = 'test-cookie=1';
+process.env.IDENTITY_MAX_CONCURRENCY = '1';
+process.env.IDENTITY_QUEUE_SIZE = '2';
+process.env.IDENTITY_QUEUE_TIMEOUT_MS = '1000';
+
+const jwt = require('jsonwebtoken');
+const { runTests } = require('./test-runner');
+const { identityPool, Identity, POOL_SATURATED, SLOT_WAIT_ABORTED } = require('./lib/identity-pool');
+const { logger } = require('./lib/logger');
+
+// Every queued request logs; keep the output to test results
+logger.info = () => {};
+
+function createIdentity(id) {
+  const identity = new Identity(id, `cookie-${id}`);
+  identity.token = jwt.sign({ id, exp: Math.floor(Date.now() / 1000) + 3600 }, 'test-secret');
+  return identity;
+}
+
+// Use the shared pool with fresh identities
+function usePool(count) {
+  identityPool.identities = Array.from({ length: count }, (_, i) => createIdentity(`identity-${i + 1}`));
+  identityPool.currentIndex = 0;
+  identityPool.waiters = [];
+  return identityPool.identities;
+}
+
+// Resolves to the settled state of a promise without waiting for it
+async function state(promise) {
+  const marker = {};
+  const result = await Promise.race([promise.then(() => 'resolved', () => 'rejected'), Promise.resolve(marker)]);
+  return result === marker ? 'pending' : result;
+}
+
+async function testSlotWithinLimit() {
+  const [identity] = usePool(1);
+  const { release } = await identityPool.acquireSlot(identity);
+  assert.strictEqual(identity.inFlight, 1);
+  release();
+  release();
+  assert.strictEqual(identity.inFlight, 0, 'releasing twice frees the slot once');
+}
+
+async function testQueuedInArrivalOrder() {
+  const [identity] = usePool(1);
+  const { release } = await identityPool.acquireSlot(identity);
+  const order = [];
+  const first = identityPool.acquireSlot(identity).then(({ release: free }) => { order.push('first'); return free; });
+  const second = identityPool.acquireSlot(identity).then(({ release: free }) => { order.push('second'); return free; });
+  assert.strictEqual(identityPool.waiters.length, 2);
+  assert.strictEqual(await state(first), 'pending');
+  release();
+  const releaseFirst = await first;
+  assert.deepStrictEqual(order, ['first']);
+  assert.strictEqual(identity.inFlight, 1);
+  releaseFirst();
+  (await second)();
+  assert.deepStrictEqual(order, ['first', 'second']);
+  assert.strictEqual(identity.inFlight, 0);
+  assert.strictEqual(identityPool.waiters.length, 0);
+}
+
+async function testNewRequestsDoNotJumpTheQueue() {
+  const [identity] = usePool(1);
+  const { release } = await identityPool.acquireSlot(identity);
+  const queued = identityPool.acquireSlot(identity);
+  release();
+  // The slot went to the waiter, so a newcomer has to queue behind it
+  const newcomer = identityPool.acquireSlot(identity);
+  assert.strictEqual(await state(newcomer), 'pending');
+  (await queued).release();
+  (await newcomer).release();
+  assert.strictEqual(identity.inFlight, 0);
+}
+
+async function testFullQueueIsRejected() {
+  const [identity] = usePool(1);
+  const { release } = await identityPool.acquireSlot(identity);
+  const waiting = [identityPool.acquireSlot(identity), identityPool.acquireSlot(identity)];
+  await assert.rejects(identityPool.acquireSlot(identity), (error) => {
+    assert.strictEqual(error.code, POOL_SATURATED);
+    assert.strictEqual(error.status, 429);
+    assert.strictEqual(error.retryAfter, 1);
+    return true;
+  });
+  release();
+  for (const slot of waiting) (await slot).release();
+}
+
+async function testWaitTimesOut() {
+  const [identity] = usePool(1);
+  const { release } = await identityPool.acquireSlot(identity);
+  const started = Date.now();
+  await assert.rejects(identityPool.acquireSlot(identity), (error) => error.code === POOL_SATURATED && error.status === 503);
+  assert.ok(Date.now() - started >= 900);
+  assert.strictEqual(identityPool.waiters.length, 0, 'a timed out request leaves the queue');
+  release();
+}
+
+async function testSelectionPrefersFreeIdentities() {
+  const [busy, free] = usePool(2);
+  const { release } = await identityPool.acquireSlot(busy);
+  assert.strictEqual(identityPool.getAvailableIdentity(), free);
+  assert.strictEqual(identityPool.getAvailableIdentity(), free);
+  release();
+}
+
+async function testAbortedWaitLeavesTheQueue() {
+  const [identity] = usePool(1);
+  const { release } = await identityPool.acquireSlot(identity);
+  const controller = new AbortController();
+  const queued = identityPool.acquireSlot(identity, { signal: controller.signal });
+  assert.strictEqual(identityPool.waiters.length, 1);
+  controller.abort();
+  await assert.rejects(queued, (error) => error.code === SLOT_WAIT_ABORTED);
+  assert.strictEqual(identityPool.waiters.length, 0);
+  await assert.rejects(identityPool.acquireSlot(identity, { signal: controller.signal }), (error) => error.code === SLOT_WAIT_ABORTED, 'an already aborted request is not queued');
+  release();
+  assert.strictEqual(identity.inFlight, 0);
+}
+
+async function testQueuedRequestTakesAnyFreedIdentity() {
+  const [first, second] = usePool(2);
+  const { release: releaseFirst } = await identityPool.acquireSlot(first);
+  const { release: releaseSecond } = await identityPool.acquireSlot(second);
+  const queued = identityPool.acquireSlot(first);
+  releaseSecond();
+  const slot = await queued;
+  assert.strictEqual(slot.identity, second, 'the request does not wait for the identity it picked');
+  assert.strictEqual(second.inFlight, 1);
+  slot.release();
+  releaseFirst();
+}
+
+async function testPinnedRequestWaitsForItsIdentity() {
+  const [first, second] = usePool(2);
+  const { release: releaseFirst } = await identityPool.acquireSlot(first);
+  const { release: releaseSecond } = await identityPool.acquireSlot(second);
+  const queued = identityPool.acquireSlot(first, { pinned: true });
+  releaseSecond();
+  assert.strictEqual(await state(queued), 'pending');
+  assert.strictEqual(second.inFlight, 0);
+  releaseFirst();
+  const slot = await queued;
+  assert.strictEqual(slot.identity, first);
+  slot.release();
+}
+
+async function testLegacyCredentialsShareALimit() {
+  usePool(0);
+  const legacy = { id: 'legacy', token: 'token-a', cookie: 'cookie-a' };
+  const { identity, release } = await identityPool.acquireSlot(legacy);
+  assert.strictEqual(identity, legacy);
+  const sameCredential = { id: 'legacy', token: 'token-a', cookie: 'cookie-a' };
+  const queued = identityPool.acquireSlot(sameCredential);
+  assert.strictEqual(await state(queued), 'pending', 'single cookie mode is limited too');
+  const other = await identityPool.acquireSlot({ id: 'legacy', token: 'token-b', cookie: 'cookie-b' });
+  other.release();
+  release();
+  const slot = await queued;
+  assert.strictEqual(slot.identity, sameCredential);
+  slot.release();
+  assert.strictEqual(identityPool.legacySlots.size, 0, 'idle credentials are not kept');
+}
+
+runTests('Identity slot queue', [
+  testSlotWithinLimit,
+  testQueuedInArrivalOrder,
+  testNewRequestsDoNotJumpTheQueue,
+  testFullQueueIsRejected,
+  testWaitTimesOut,
+  testSelectionPrefersFreeIdentities,
+  testAbortedWaitLeavesTheQueue,
+  testQueuedRequestTakesAnyFreedIdentity,
+  testPinnedRequestWaitsForItsIdentity,
+  testLegacyCredentialsShareALimit
+]);
@@ -0,0 +1,165 @@
+const assert = require('assert');
+const { PassThrough } = require('stream');
+const { runTests } = require('./test-runner');
+const { createSseParser } = require('./lib/sse-parser');
+const { createQwenToOpenAIStreamTransformer, collectOpenAICompletionFromSSE } = require('./lib/transformers');
+
+// Split a buffer into fragments of the given size (also splits multi-byte characters)
+function fragment(input, size) {
+  const buf = Buffer.isBuffer(input) ? input : Buffer.from(input, 'utf-8');
+  const parts = [];
+  for (let i = 0; i < buf.length; i += size) parts.push(buf.subarray(i, i + size));
+  return parts;
+}
+
+function parseAll(chunks, options) {
+  const events = [];
+  const parser = createSseParser((e) => events.push(e), options);
+  for (const c of chunks) parser.push(c);
+  parser.end();
+  return events;
+}
+
+function qwenEvent(delta) {
+  return `data: ${JSON.stringify({ choices: [{ delta }] })}\n\n`;
+}
+
+function runTransformer(chunks, options) {
+  return new Promise((resolve, reject) => {
+    const transformer = createQwenToOpenAIStreamTransformer(options);
+    let out = '';
+    transformer.on('data', (d) => { out += d.toString('utf-8'); });
+    transformer.on('end', () => resolve(out));
+    transformer.on('error', reject);
+    for (const c of chunks) transformer.write(c);
+    transformer.end();
+  });
+}
+
+function openAIChunks(output) {
+  return output.split('\n\n')
+    .filter((block) => block.startsWith('data: ') && block !== 'data: [DONE]')
+    .map((block) => JSON.parse(block.slice(6)));
+}
+
+async function testMultiLineDataAndEventFields() {
+  const events = parseAll(['event: update\nid: 7\ndata: first\ndata: second\n\n: keepalive\n\ndata: third\n\n']);
+  assert.strictEqual(events.length, 2);
+  assert.deepStrictEqual(events[0], { event: 'update', data: 'first\nsecond', id: '7', retry: null });
+  assert.strictEqual(events[1].event, 'message');
+  assert.strictEqual(events[1].data, 'third');
+  assert.strictEqual(events[1].id, '7');
+}
+
+async function testCrlfSplitAcrossChunks() {
+  const events = parseAll(['data: a\r', '\n\r', '\ndata: b\r\rdata: c\n', '\n']);
+  assert.deepStrictEqual(events.map((e) => e.data), ['a', 'b', 'c']);
+}
+
+async function testSplitMultiByteCharacters() {
+  const text = 'data: 你好，世界 🌏\n\n';
+  for (const size of [1, 2, 3, 5]) {
+    const events = parseAll(fragment(text, size));
+    assert.strictEqual(events.length, 1, `fragment size ${size}`);
+    assert.strictEqual(events[0].data, '你好，世界 🌏', `fragment size ${size}`);
+  }
+}
+
+async function testUnterminatedEventAndBareJson() {
+  const events = parseAll(['data: tail-without-blank-line']);
+  assert.deepStrictEqual(events.map((e) => e.data), ['tail-without-blank-line']);
+  const strict = parseAll(['data: dropped'], { dispatchOnEnd: false });
+  assert.strictEqual(strict.length, 0);
+  const bare = parseAll(['{"success":false,"data":{"code":"Bad"}}\n']);
+  assert.strictEqual(bare[0].data, '{"success":false,"data":{"code":"Bad"}}');
+}
+
+async function testDoneInsideModelTextIsNotTerminal() {
+  const input = qwenEvent({ phase: 'answer', content: 'The marker [DONE] is just text' }) + qwenEvent({ phase: 'answer', content: ' and more', status: 'finished' });
+  const output = await runTransformer(fragment(input, 7));
+  const chunks = openAIChunks(output);
+  const text = chunks.map((c) => c.choices[0]?.delta?.content || '').join('');
+  assert.strictEqual(text, 'The marker [DONE] is just text and more');
+  assert.strictEqual(output.indexOf('data: [DONE]'), -1, 'transformer must not emit [DONE] for text content');
+  assert.strictEqual(chunks[chunks.length - 1].choices[0].finish_reason, 'stop');
+}
+
+async function testLargeEventIsNotDropped() {
+  const big = 'x'.repeat(250000);
+  const output = await runTransformer(fragment(qwenEvent({ phase: 'answer', content: big }), 4096));
+  const text = openAIChunks(output).map((c) => c.choices[0]?.delta?.content || '').join('');
+  assert.strictEqual(text.length, big.length);
+}
+
+async function testTransformerFragmentedFixture() {
+  const input = [
+    qwenEvent({ phase: 'think', content: '先想' }),
+    qwenEvent({ phase: 'think', content: '一想', status: 'finished' }),
+    qwenEvent({ phase: 'answer', content: '答案：' }),
+    qwenEvent({ phase: 'answer', content: '42 ✅' }),
+    qwenEvent({ phase: 'answer', content: '', status: 'finished' }),
+    'data: [DONE]\n\n'
+  ].join('').replace(/\n/g, '\r\n');
+  const output = await runTransformer(fragment(input, 3), { includeUsage: true });
+  const chunks = openAIChunks(output);
+  const reasoning = chunks.map((c) => c.choices[0]?.delta?.reasoning_content || '').join('');
+  const content = chunks.map((c) => c.choices[0]?.delta?.content || '').join('');
+  assert.strictEqual(reasoning, '先想一想');
+  assert.strictEqual(content, '答案：42 ✅');
+  assert.ok(chunks[chunks.length - 1].usage, 'usage chunk precedes [DONE]');
+  assert.ok(output.trimEnd().endsWith('data: [DONE]'));
+}
+
+async function testTransformerReportsUpstreamError() {
+  const errorEvent = { success: false, data: { code: 'RateLimited', details: 'slow down' } };
+  const reported = [];
+  let completed = false;
+  const output = await runTransformer([qwenEvent({ phase: 'answer', content: 'partial' }), `data: ${JSON.stringify(errorEvent)}\n\n`, qwenEvent({ phase: 'answer', content: 'ignored' })], {
+    onError: (body) => reported.push(body),
+    onComplete: () => { completed = true; }
+  });
+  assert.deepStrictEqual(reported, [errorEvent]);
+  assert.strictEqual(completed, false, 'a failed answer is not a completed turn');
+  const chunks = openAIChunks(output);
+  assert.strictEqual(chunks[chunks.length - 1].choices[0].delta.content, 'Error: slow down');
+  assert.ok(output.trimEnd().endsWith('data: [DONE]'));
+}
+
+async function testCollectFragmentedFixture() {
+  const input = [
+    qwenEvent({ phase: 'think', content: 'ponder' }),
+    'data: {"choices":[{"delta":\ndata: {"phase":"answer","content":"Hello, "}}]}\n\n',
+    qwenEvent({ phase: 'answer', content: '世界' }),
+    'data: [DONE]\n\n'
+  ].join('');
+  const readable = new PassThrough();
+  const pending = collectOpenAICompletionFromSSE(readable);
+  for (const part of fragment(input, 4)) readable.write(part);
+  readable.end();
+  const result = await pending;
+  assert.strictEqual(result.reasoning_content, 'ponder');
+  assert.strictEqual(result.content, 'Hello, 世界');
+}
+
+async function testCollectReportsUpstreamError() {
+  const errorEvent = { success: false, data: { code: 'RateLimited', details: 'slow down' } };
+  const readable = new PassThrough();
+  const pending = collectOpenAICompletionFromSSE(readable);
+  readable.end(`${qwenEvent({ phase: 'answer', content: 'partial' })}data: ${JSON.stringify(errorEvent)}\n\n`);
+  const result = await pending;
+  assert.strictEqual(result.failed, true);
+  assert.deepStrictEqual(result.error, errorEvent);
+}
+
+runTests('SSE parser', [
+  testMultiLineDataAndEventFields,
+  testCrlfSplitAcrossChunks,
+  testSplitMultiByteCharacters,
+  testUnterminatedEventAndBareJson,
+  testDoneInsideModelTextIsNotTerminal,
+  testLargeEventIsNotDropped,
+  testTransformerFragmentedFixture,
+  testTransformerReportsUpstreamError,
+  testCollectFragmentedFixture,
+  testCollectReportsUpstreamError
+]);
@@ -0,0 +1,141 @@
+const assert = require('assert');
+const { runTests } = require('./test-runner');
+const { createToolCallStreamParser, parseToolCalls } = require('./lib/tool-calls');
+const { createQwenToOpenAIStreamTransformer } = require('./lib/transformers');
+
+// Split a string into fragments of the given length
+function fragment(text, size) {
+  const parts = [];
+  for (let i = 0; i < text.length; i += size) parts.push(text.slice(i, i + size));
+  return parts;
+}
+
+// Feed every chunk through a fresh stream parser and merge what it emits
+function streamAll(chunks) {
+  const parser = createToolCallStreamParser();
+  let content = '';
+  const toolCalls = [];
+  for (const result of [...chunks.map((c) => parser.push(c)), parser.flush()]) {
+    content += result.content;
+    toolCalls.push(...result.toolCalls);
+  }
+  return { content, toolCalls };
+}
+
+const WEATHER_CALL = '<tool_call>{"name":"get_weather","arguments":{"city":"杭州"}}</tool_call>';
+
+async function testTagsSplitAcrossChunks() {
+  const text = `Let me check. ${WEATHER_CALL} Done.`;
+  for (const size of [1, 2, 3, 5, 11]) {
+    const { content, toolCalls } = streamAll(fragment(text, size));
+    assert.strictEqual(content, 'Let me check.  Done.', `fragment size ${size}`);
+    assert.strictEqual(toolCalls.length, 1, `fragment size ${size}`);
+    assert.strictEqual(toolCalls[0].index, 0);
+    assert.strictEqual(toolCalls[0].type, 'function');
+    assert.strictEqual(toolCalls[0].function.name, 'get_weather');
+    assert.deepStrictEqual(JSON.parse(toolCalls[0].function.arguments), { city: '杭州' });
+  }
+}
+
+async function testPartialStartTagIsHeldBack() {
+  const parser = createToolCallStreamParser();
+  assert.strictEqual(parser.push('Hello <tool').content, 'Hello ');
+  assert.strictEqual(parser.push('ing> is not a tag').content, '<tooling> is not a tag');
+  assert.strictEqual(parser.flush().content, '');
+  assert.strictEqual(parser.toolCallCount, 0);
+}
+
+async function testMultipleCallsAreIndexed() {
+  const second = '<tool_call>{"function":{"name":"get_time","arguments":"{\\"tz\\":\\"UTC\\"}"}}</tool_call>';
+  const { content, toolCalls } = streamAll(fragment(WEATHER_CALL + second, 4));
+  assert.strictEqual(content, '');
+  assert.deepStrictEqual(toolCalls.map((c) => c.index), [0, 1]);
+  assert.deepStrictEqual(toolCalls.map((c) => c.function.name), ['get_weather', 'get_time']);
+  assert.strictEqual(toolCalls[1].function.arguments, '{"tz":"UTC"}');
+  assert.notStrictEqual(toolCalls[0].id, toolCalls[1].id);
+}
+
+async function testInvalidBodyIsKeptAsContent() {
+  const text = 'before <tool_call>not json</tool_call> after';
+  const { content, toolCalls } = streamAll(fragment(text, 6));
+  assert.strictEqual(toolCalls.length, 0);
+  assert.strictEqual(content, text);
+}
+
+async function testUnterminatedCallAtEnd() {
+  const complete = streamAll(fragment('<tool_call>```json\n{"name":"lookup","parameters":{"q":1}}\n```', 3));
+  assert.strictEqual(complete.content, '');
+  assert.strictEqual(complete.toolCalls[0].function.name, 'lookup');
+  assert.strictEqual(complete.toolCalls[0].function.arguments, '{"q":1}');
+  const truncated = streamAll(['<tool_call>{"name":"lookup",']);
+  assert.strictEqual(truncated.toolCalls.length, 0);
+  assert.strictEqual(truncated.content, '<tool_call>{"name":"lookup",');
+}
+
+async function testParseToolCalls() {
+  assert.deepStrictEqual(parseToolCalls('plain answer'), { content: 'plain answer', toolCalls: [] });
+  const onlyCall = parseToolCalls(`\n${WEATHER_CALL}\n`);
+  assert.strictEqual(onlyCall.content, null);
+  assert.strictEqual(onlyCall.toolCalls.length, 1);
+  const mixed = parseToolCalls(`Checking ${WEATHER_CALL}`);
+  assert.strictEqual(mixed.content, 'Checking');
+}
+
+function qwenEvent(delta) {
+  return `data: ${JSON.stringify({ choices: [{ delta }] })}\n\n`;
+}
+
+function runTransformer(events, options) {
+  return new Promise((resolve, reject) => {
+    const transformer = createQwenToOpenAIStreamTransformer(options);
+    let out = '';
+    transformer.on('data', (d) => { out += d.toString('utf-8'); });
+    transformer.on('end', () => resolve(out));
+    transformer.on('error', reject);
+    for (const event of events) transformer.write(event);
+    transformer.end();
+  });
+}
+
+async function testStreamEmitsToolCallDeltas() {
+  const pieces = fragment(`Checking. ${WEATHER_CALL}`, 7);
+  const events = pieces.map((content, i) => qwenEvent({ phase: 'answer', content, ...(i === pieces.length - 1 ? { status: 'finished' } : {}) }));
+  const output = await runTransformer([...events, 'data: [DONE]\n\n'], { tools: true });
+  const chunks = output.split('\n\n')
+    .filter((block) => block.startsWith('data: ') && block !== 'data: [DONE]')
+    .map((block) => JSON.parse(block.slice(6)));
+  const text = chunks.map((c) => c.choices[0].delta.content || '').join('');
+  assert.strictEqual(text, 'Checking. ');
+  const calls = chunks.flatMap((c) => c.choices[0].delta.tool_calls || []);
+  assert.strictEqual(calls.length, 1);
+  assert.strictEqual(calls[0].function.name, 'get_weather');
+  assert.strictEqual(chunks[chunks.length - 1].choices[0].finish_reason, 'tool_calls');
+  assert.ok(output.trimEnd().endsWith('data: [DONE]'));
+}
+
+async function testNothingFollowsUpstreamDone() {
+  // No "finished" status: the call is still buffered in the parser when upstream sends [DONE]
+  const events = fragment(WEATHER_CALL, 9).map((content) => qwenEvent({ phase: 'answer', content }));
+  const output = await runTransformer([...events, 'data: [DONE]\n\n'], { tools: true, includeUsage: true });
+  assert.ok(output.endsWith('data: [DONE]\n\n'), 'no chunk after [DONE]');
+  assert.strictEqual(output.indexOf('data: [DONE]'), output.lastIndexOf('data: [DONE]'));
+  const chunks = output.split('\n\n')
+    .filter((block) => block.startsWith('data: ') && block !== 'data: [DONE]')
+    .map((block) => JSON.parse(block.slice(6)));
+  const usage = chunks.pop();
+  assert.ok(usage.usage, 'usage is the last chunk before [DONE]');
+  assert.strictEqual(chunks.flatMap((c) => c.choices[0].delta.tool_calls || []).length, 1);
+  assert.strictEqual(chunks[chunks.length - 1].choices[0].finish_reason, 'tool_calls');
+  assert.strictEqual(chunks.filter((c) => c.choices[0].finish_reason).length, 1);
+}
+
+runTests('Tool call parser', [
+  testTagsSplitAcrossChunks,
+  testPartialStartTagIsHeldBack,
+  testMultipleCallsAreIndexed,
+  testInvalidBodyIsKeptAsContent,
+  testUnterminatedCallAtEnd,
+  testParseToolCalls,
+  testStreamEmitsToolCallDeltas,
+  testNothingFollowsUpstreamDone
+]);
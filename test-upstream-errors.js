@@ -0,0 +1,142 @@
+const assert = require('assert');
+const { runTests } = require('./test-runner');
+const { PassThrough } = require('stream');
+const {
+  UPSTREAM_ERROR_CLASSES,
+  assertUpstreamStream,
+  upstreamBodyError,
+  classifyUpstreamError,
+  getErrorPolicy,
+  upstreamErrorStatus,
+  retryAfterMs
+} = require('./lib/upstream-errors');
+
+// Error shaped like an axios HTTP failure
+function httpError(status, data = {}, headers = {}) {
+  const error = new Error(`Request failed with status code ${status}`);
+  error.response = { status, data, headers };
+  return error;
+}
+
+// Error shaped like a Node network failure
+function networkError(code, message = code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+// Upstream reply with a JSON body (Qwen sends error bodies with HTTP 200)
+function jsonReply(text, status = 200) {
+  const data = new PassThrough();
+  data.end(text);
+  return { status, headers: { 'content-type': 'application/json' }, data };
+}
+
+// Error that assertUpstreamStream throws for an upstream error body
+async function bodyError(body) {
+  try {
+    await assertUpstreamStream(jsonReply(JSON.stringify(body)));
+  } catch (error) {
+    return error;
+  }
+  throw new Error(`No error thrown for ${JSON.stringify(body)}`);
+}
+
+async function testHttpStatuses() {
+  const cases = [
+    [401, UPSTREAM_ERROR_CLASSES.AUTH_EXPIRED],
+    [429, UPSTREAM_ERROR_CLASSES.RATE_LIMITED],
+    [504, UPSTREAM_ERROR_CLASSES.TIMEOUT],
+    [503, UPSTREAM_ERROR_CLASSES.MODEL_UNAVAILABLE],
+    [500, UPSTREAM_ERROR_CLASSES.SERVER_ERROR],
+    [502, UPSTREAM_ERROR_CLASSES.SERVER_ERROR],
+    [400, UPSTREAM_ERROR_CLASSES.CLIENT_ERROR],
+    [404, UPSTREAM_ERROR_CLASSES.CLIENT_ERROR]
+  ];
+  for (const [status, expected] of cases) {
+    assert.strictEqual(classifyUpstreamError(httpError(status)), expected, `status ${status}`);
+  }
+}
+
+async function testNetworkErrors() {
+  assert.strictEqual(classifyUpstreamError(networkError('ECONNABORTED', 'timeout of 30000ms exceeded')), UPSTREAM_ERROR_CLASSES.TIMEOUT);
+  assert.strictEqual(classifyUpstreamError(networkError('ETIMEDOUT')), UPSTREAM_ERROR_CLASSES.TIMEOUT);
+  assert.strictEqual(classifyUpstreamError(networkError('ECONNRESET')), UPSTREAM_ERROR_CLASSES.SERVER_ERROR);
+  assert.strictEqual(classifyUpstreamError(networkError('ENOTFOUND')), UPSTREAM_ERROR_CLASSES.SERVER_ERROR);
+  assert.strictEqual(classifyUpstreamError(new Error('socket hang up')), UPSTREAM_ERROR_CLASSES.SERVER_ERROR);
+  assert.strictEqual(classifyUpstreamError(new Error('something odd')), UPSTREAM_ERROR_CLASSES.OTHER);
+  assert.strictEqual(classifyUpstreamError(null), UPSTREAM_ERROR_CLASSES.OTHER);
+}
+
+async function testErrorBodiesInSuccessfulReplies() {
+  const cases = [
+    [{ success: false, data: { code: 'RateLimited', details: 'Too many requests' } }, UPSTREAM_ERROR_CLASSES.RATE_LIMITED],
+    [{ success: false, data: { code: 'Unauthorized', details: 'token expired' } }, UPSTREAM_ERROR_CLASSES.AUTH_EXPIRED],
+    [{ success: false, data: { code: 'DataInspectionFailed', details: 'Output data may contain inappropriate content.' } }, UPSTREAM_ERROR_CLASSES.CONTENT_MODERATION],
+    [{ success: false, data: { code: 'NotFound', details: 'Model not found' } }, UPSTREAM_ERROR_CLASSES.MODEL_UNAVAILABLE],
+    [{ success: false, data: { code: 'Bad_Request', details: 'invalid parameter' } }, UPSTREAM_ERROR_CLASSES.CLIENT_ERROR],
+    [{ error: { code: 'internal', message: '请求过于频繁' } }, UPSTREAM_ERROR_CLASSES.RATE_LIMITED]
+  ];
+  for (const [body, expected] of cases) {
+    const error = await bodyError(body);
+    assert.strictEqual(classifyUpstreamError(error), expected, JSON.stringify(body));
+    assert.strictEqual(error.response.status, 200);
+    assert.deepStrictEqual(error.response.data, body);
+  }
+  const error = await bodyError({ success: false, data: { code: 'RateLimited', details: 'slow down' } });
+  assert.strictEqual(error.upstreamCode, 'RateLimited');
+  assert.strictEqual(error.upstreamDetails, 'slow down');
+  assert.strictEqual(error.message, 'Upstream API returned error: RateLimited - slow down');
+}
+
+async function testUpstreamBodyError() {
+  const body = { success: false, data: { code: 'RateLimited', details: 'slow down' } };
+  const error = upstreamBodyError(body, 200);
+  assert.strictEqual(error.message, 'Upstream API returned error: RateLimited - slow down');
+  assert.deepStrictEqual(error.response, { status: 200, data: body });
+  assert.strictEqual(classifyUpstreamError(error), UPSTREAM_ERROR_CLASSES.RATE_LIMITED);
+  assert.strictEqual(upstreamBodyError({ success: false }, 200).message, 'Upstream API returned error: unknown');
+}
+
+async function testPoliciesAndStatuses() {
+  assert.deepStrictEqual(getErrorPolicy(UPSTREAM_ERROR_CLASSES.RATE_LIMITED), { retryIdentity: true, penalize: false, status: 429 });
+  assert.strictEqual(getErrorPolicy(UPSTREAM_ERROR_CLASSES.SERVER_ERROR).penalize, true);
+  assert.strictEqual(getErrorPolicy(UPSTREAM_ERROR_CLASSES.CONTENT_MODERATION).retryIdentity, false);
+  assert.strictEqual(getErrorPolicy('unknown'), getErrorPolicy(UPSTREAM_ERROR_CLASSES.OTHER));
+  assert.strictEqual(upstreamErrorStatus(httpError(404)), 404, 'client errors keep the upstream status');
+  assert.strictEqual(upstreamErrorStatus(httpError(500)), 502);
+  assert.strictEqual(upstreamErrorStatus(httpError(302)), 502, 'unclassified upstream replies become 502');
+  assert.strictEqual(upstreamErrorStatus(new Error('something odd')), 500);
+  assert.strictEqual(upstreamErrorStatus(await bodyError({ success: false, data: { code: 'RateLimited' } })), 429);
+}
+
+async function testRetryAfter() {
+  assert.strictEqual(retryAfterMs(httpError(429, {}, { 'retry-after': '12' })), 12000);
+  const dated = retryAfterMs(httpError(429, {}, { 'retry-after': new Date(Date.now() + 5000).toUTCString() }));
+  assert.ok(dated > 3000 && dated <= 5000, `HTTP date gives ${dated}`);
+  assert.strictEqual(retryAfterMs(httpError(429, {}, { 'retry-after': new Date(Date.now() - 5000).toUTCString() })), 0);
+  assert.strictEqual(retryAfterMs(httpError(429, {}, { 'retry-after': 'soon' })), null);
+  assert.strictEqual(retryAfterMs(httpError(429)), null);
+}
+
+async function testNonErrorRepliesStayReadable() {
+  const harmless = jsonReply('{"success":true}');
+  await assertUpstreamStream(harmless);
+  const chunks = [];
+  for await (const chunk of harmless.data) chunks.push(String(chunk));
+  assert.strictEqual(chunks.join(''), '{"success":true}', 'non-error JSON stays readable');
+  const sse = { status: 200, headers: { 'content-type': 'text/event-stream' }, data: new PassThrough() };
+  const original = sse.data;
+  await assertUpstreamStream(sse);
+  assert.strictEqual(sse.data, original, 'SSE replies are not consumed');
+}
+
+runTests('Upstream error', [
+  testHttpStatuses,
+  testNetworkErrors,
+  testErrorBodiesInSuccessfulReplies,
+  testUpstreamBodyError,
+  testPoliciesAndStatuses,
+  testRetryAfter,
+  testNonErrorRepliesStayReadable
+]);
@@ -0,0 +1,96 @@
+const assert = require('assert');
+const { runTests } = require('./test-runner');
+const { estimateTokens, estimateMessagesTokens, normalizeUpstreamUsage, buildUsage } = require('./lib/usage');
+const { createQwenToOpenAIStreamTransformer, convertQwenResponseToOpenAI } = require('./lib/transformers');
+
+function qwenEvent(payload) {
+  return `data: ${JSON.stringify(payload)}\n\n`;
+}
+
+function runTransformer(events, options) {
+  return new Promise((resolve, reject) => {
+    const transformer = createQwenToOpenAIStreamTransformer(options);
+    let out = '';
+    transformer.on('data', (d) => { out += d.toString('utf-8'); });
+    transformer.on('end', () => resolve(out));
+    transformer.on('error', reject);
+    for (const event of events) transformer.write(event);
+    transformer.end();
+  });
+}
+
+function dataBlocks(output) {
+  return output.split('\n\n').filter((block) => block.startsWith('data: ')).map((block) => block.slice(6));
+}
+
+async function testEstimateTokens() {
+  assert.strictEqual(estimateTokens(''), 0);
+  assert.strictEqual(estimateTokens(null), 0);
+  assert.strictEqual(estimateTokens('abcdefgh'), 2);
+  assert.strictEqual(estimateTokens('abcde'), 2, 'partial groups of four characters round up');
+  assert.strictEqual(estimateTokens('你好世界'), 4, 'CJK characters count one token each');
+  assert.strictEqual(estimateTokens('你好 abc'), 3);
+}
+
+async function testEstimateMessagesTokens() {
+  assert.strictEqual(estimateMessagesTokens(null), 0);
+  const messages = [
+    { role: 'system', content: 'abcd' },
+    { role: 'user', content: [{ type: 'text', text: '你好' }, { type: 'image_url', image_url: { url: 'https://x' } }] }
+  ];
+  // 4 framing tokens per message plus the text of each
+  assert.strictEqual(estimateMessagesTokens(messages), 4 + 1 + 4 + 2);
+}
+
+async function testNormalizeUpstreamUsage() {
+  assert.strictEqual(normalizeUpstreamUsage(null), null);
+  assert.strictEqual(normalizeUpstreamUsage({ foo: 1 }), null);
+  assert.deepStrictEqual(normalizeUpstreamUsage({ input_tokens: 10, output_tokens: 5 }), { prompt_tokens: 10, completion_tokens: 5, total_tokens: 15 });
+  assert.deepStrictEqual(normalizeUpstreamUsage({ prompt_tokens: 3, completion_tokens: 4, total_tokens: 9 }), { prompt_tokens: 3, completion_tokens: 4, total_tokens: 9 });
+  assert.deepStrictEqual(normalizeUpstreamUsage({ output_tokens: 7 }), { prompt_tokens: 0, completion_tokens: 7, total_tokens: 7 });
+}
+
+async function testBuildUsage() {
+  assert.deepStrictEqual(buildUsage({ upstreamUsage: { input_tokens: 10, output_tokens: 5 }, promptTokens: 99, completionText: 'ignored' }), { prompt_tokens: 10, completion_tokens: 5, total_tokens: 15 });
+  assert.deepStrictEqual(buildUsage({ promptTokens: 12, completionText: 'abcdefgh' }), { prompt_tokens: 12, completion_tokens: 2, total_tokens: 14 });
+  assert.deepStrictEqual(buildUsage(), { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 });
+}
+
+async function testStreamUsageChunk() {
+  const events = [
+    qwenEvent({ choices: [{ delta: { phase: 'answer', content: 'abcd' } }] }),
+    qwenEvent({ choices: [{ delta: { phase: 'answer', content: 'efgh', status: 'finished' } }], usage: { input_tokens: 20, output_tokens: 2 } }),
+    'data: [DONE]\n\n'
+  ];
+  const blocks = dataBlocks(await runTransformer(events, { includeUsage: true, promptTokens: 5 }));
+  assert.strictEqual(blocks[blocks.length - 1], '[DONE]');
+  const chunks = blocks.slice(0, -1).map((block) => JSON.parse(block));
+  const usageChunk = chunks[chunks.length - 1];
+  assert.deepStrictEqual(usageChunk.choices, []);
+  assert.deepStrictEqual(usageChunk.usage, { prompt_tokens: 20, completion_tokens: 2, total_tokens: 22 });
+  assert.ok(chunks.slice(0, -1).every((chunk) => chunk.usage === null), 'content chunks carry usage: null');
+
+  const plain = dataBlocks(await runTransformer(events.slice(0, 1), { includeUsage: false }));
+  assert.ok(plain.every((block) => !('usage' in JSON.parse(block))), 'no usage without stream_options.include_usage');
+}
+
+async function testStreamUsageEstimateWithoutUpstreamUsage() {
+  const events = [qwenEvent({ choices: [{ delta: { phase: 'answer', content: '你好世界', status: 'finished' } }] })];
+  const chunks = dataBlocks(await runTransformer(events, { includeUsage: true, promptTokens: 8 })).map((block) => JSON.parse(block));
+  assert.deepStrictEqual(chunks[chunks.length - 1].usage, { prompt_tokens: 8, completion_tokens: 4, total_tokens: 12 });
+}
+
+async function testNonStreamUsage() {
+  const completion = convertQwenResponseToOpenAI({ choices: [{ message: { content: 'abcdefgh' } }], usage: { input_tokens: 3, output_tokens: 2 } });
+  assert.deepStrictEqual(completion.usage, { prompt_tokens: 3, completion_tokens: 2, total_tokens: 5 });
+}
+
+runTests('Token usage', [
+  testEstimateTokens,
+  testEstimateMessagesTokens,
+  testNormalizeUpstreamUsage,
+  testBuildUsage,
+  testStreamUsageChunk,
+  testStreamUsageEstimateWithoutUpstreamUsage,
+  testNonStreamUsage
+]);